@@ -0,0 +1,289 @@
+import JSZip from "jszip"
+import { parseFragment } from "parse5"
+import { extractTextSegments, inlineTagsIntact, reassembleHTML } from "./html-segments.js"
+import { validateTranslation } from "./html-validation.js"
+import { PermanentJobError } from "./job-errors.js"
+import { log, withLogContext } from "./logger.js"
+import { downloadTemplate } from "./storage.js"
+import { openTemplateArchive } from "./template-archive.js"
+import { keepWhitespace, normalizeSegment } from "./translation-memory.js"
+
+// Bilingual review files. Every job also produces a review package with one
+// XLIFF 2.0 and one CSV file of source/target segment pairs per page (and
+// translated text asset) and language:
+//
+//   <language>/<page>.xlf, <language>/<page>.csv
+//
+// Units are numbered in document order of the page's segments, or in key
+// order for a JSON asset. Inline markup
+// ({1}...{/1} and {2/} tokens) becomes <pc>/<ph> codes, or <sc>/<ec> when a
+// translation moved a closing tag before its opening one. Segments are slices
+// of the page's HTML, so the review files carry them with HTML entities
+// decoded, and reviewed text is escaped again before it goes back in the page;
+// JSON strings are plain text and go through as they are. POST /import takes
+// the corrected XLIFF back, as the edited package or as inline documents:
+//
+//   review: { zipUrl } | { xliff: "<xliff ...>" | ["<xliff ...>", ...] }
+
+const SOURCE_LANGUAGE = "en"
+const TAG_TOKEN_PATTERN = /\{(\/?)(\d+)(\/?)\}/g
+
+function escapeXml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+}
+
+function unescapeXml(text) {
+  return text.replace(/&(?:lt|gt|quot|apos|amp|#(\d+)|#x([\da-f]+));/gi, (entity, decimal, hex) => {
+    if (decimal) return String.fromCodePoint(Number(decimal))
+    if (hex) return String.fromCodePoint(parseInt(hex, 16))
+    return { "&lt;": "<", "&gt;": ">", "&quot;": '"', "&apos;": "'", "&amp;": "&" }[entity.toLowerCase()]
+  })
+}
+
+// The text a reader sees; `<` can only be literal here, since tags are tokens
+function decodeHtml(text) {
+  if (!text.includes("&")) return text
+  return parseFragment(text.replace(/</g, "&lt;"))
+    .childNodes.map((node) => node.value ?? "")
+    .join("")
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+}
+
+// JSON asset segments are a value at `keyPath`, not a slice of markup
+function readableText(segment, text) {
+  return segment.keyPath ? text : decodeHtml(text)
+}
+
+function isWellNested(text) {
+  const open = []
+  for (const [, closing, id, selfClosing] of text.matchAll(TAG_TOKEN_PATTERN)) {
+    if (selfClosing) continue
+    if (!closing) open.push(id)
+    else if (open.pop() !== id) return false
+  }
+  return open.length === 0
+}
+
+// Only tokens that belong to the segment are markup; anything else that
+// looks like one is literal text
+function toInlineXml(text, segment) {
+  const tokens = new Set(segment.tags?.map((tag) => tag.token))
+  const paired = isWellNested(text)
+  return escapeXml(text).replace(TAG_TOKEN_PATTERN, (token, closing, id, selfClosing) => {
+    if (!tokens.has(token)) return token
+    if (selfClosing) return `<ph id="${id}"/>`
+    if (paired) return closing ? "</pc>" : `<pc id="${id}">`
+    return closing ? `<ec startRef="${id}"/>` : `<sc id="${id}"/>`
+  })
+}
+
+// Inline codes back to tokens; annotations (<mrk>, <sm/>) and codes we don't
+// produce are dropped
+function fromInlineXml(xml) {
+  const open = []
+  const text = xml
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, content) => escapeXml(content))
+    .replace(/<(\/?)([\w:]+)([^>]*?)(\/?)>/g, (match, closing, name, attrs, selfClosing) => {
+      if (name === "pc") {
+        if (closing) return open.length > 0 ? `{/${open.pop()}}` : ""
+        open.push(attributeOf(attrs, "id"))
+        return `{${open.at(-1)}}`
+      }
+      if (name === "ph" && selfClosing) return `{${attributeOf(attrs, "id")}/}`
+      if (name === "sc") return `{${attributeOf(attrs, "id")}}`
+      if (name === "ec") return `{/${attributeOf(attrs, "startRef") ?? attributeOf(attrs, "id")}}`
+      return ""
+    })
+  return unescapeXml(text)
+}
+
+function attributeOf(attrs, name) {
+  const match = attrs.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`))
+  return match ? unescapeXml(match[1] ?? match[2]) : undefined
+}
+
+// `segments` are the page's segments with `translatedText` where the job
+// translated them
+export function toXliff({ filename, language, segments }) {
+  const units = segments.map((segment, i) => {
+    const [category, where] = segment.keyPath ? ["key", segment.keyPath.join(".")] : ["attribute", segment.attribute]
+    const note = where
+      ? `\n      <notes>\n        <note category="${category}">${escapeXml(where)}</note>\n      </notes>`
+      : ""
+    const translated = segment.translatedText !== undefined
+    const target = translated
+      ? `\n        <target>${toInlineXml(readableText(segment, segment.translatedText), segment)}</target>`
+      : ""
+    return `    <unit id="${i + 1}">${note}
+      <segment state="${translated ? "translated" : "initial"}">
+        <source>${toInlineXml(readableText(segment, segment.text), segment)}</source>${target}
+      </segment>
+    </unit>`
+  })
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${SOURCE_LANGUAGE}" trgLang="${escapeXml(language)}">
+  <file id="f1" original="${escapeXml(filename)}" xml:space="preserve">
+${units.join("\n")}
+  </file>
+</xliff>
+`
+}
+
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+}
+
+// The same pairs for spreadsheets; the BOM makes Excel read it as UTF-8
+export function toCsv({ filename, segments }) {
+  const rows = [["file", "unit", "attribute", "source", "target"]]
+  for (const [i, segment] of segments.entries()) {
+    const target = segment.translatedText === undefined ? "" : readableText(segment, segment.translatedText)
+    rows.push([filename, String(i + 1), segment.attribute || "", readableText(segment, segment.text), target])
+  }
+  return `\uFEFF${rows.map((row) => row.map(csvField).join(",")).join("\r\n")}\r\n`
+}
+
+// `pages` are { file, language, segments } as reported by the translator
+export async function buildReviewPackage(pages) {
+  const zip = new JSZip()
+  for (const { file, language, segments } of pages) {
+    const ordered = [...segments].sort((a, b) => (a.start ?? a.index) - (b.start ?? b.index))
+    zip.file(`${language}/${file}.xlf`, toXliff({ filename: file, language, segments: ordered }))
+    zip.file(`${language}/${file}.csv`, toCsv({ filename: file, segments: ordered }))
+  }
+  return zip.generateAsync({ type: "arraybuffer", compression: "DEFLATE", compressionOptions: { level: 6 } })
+}
+
+// Resolves to { language, files: [{ original, units: Map(id -> { source, target }) }] }
+export function parseXliff(xml) {
+  const root = xml.match(/<xliff\b([^>]*)>/)
+  if (!root) throw new PermanentJobError("Reviewed file is not an XLIFF document", "invalid_review")
+  if (!attributeOf(root[1], "version")?.startsWith("2.")) {
+    throw new PermanentJobError("Only XLIFF 2.0 review files are supported", "invalid_review")
+  }
+  const language = attributeOf(root[1], "trgLang")
+  if (!language) throw new PermanentJobError("Reviewed XLIFF has no trgLang", "invalid_review")
+
+  const files = []
+  for (const [, fileAttrs, fileBody] of xml.matchAll(/<file\b([^>]*)>([\s\S]*?)<\/file>/g)) {
+    const units = new Map()
+    for (const [, unitAttrs, unitBody] of fileBody.matchAll(/<unit\b([^>]*)>([\s\S]*?)<\/unit>/g)) {
+      // A tool may have split the unit into several segments; they are joined back
+      const parts = (tag) => [...unitBody.matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, "g"))]
+      const targets = parts("target")
+      units.set(attributeOf(unitAttrs, "id"), {
+        source: parts("source").map(([, content]) => fromInlineXml(content)).join(""),
+        target: targets.length > 0 ? targets.map(([, content]) => fromInlineXml(content)).join("") : undefined,
+      })
+    }
+    files.push({ original: attributeOf(fileAttrs, "original"), units })
+  }
+  return { language, files }
+}
+
+// Resolves to Map(language -> Map(page or asset filename -> units))
+export async function loadReviewedTranslations(review) {
+  const documents = []
+  if (review.zipUrl) {
+    const buffer = await downloadTemplate(review.zipUrl)
+    // A single .xlf works as well as the edited review package
+    const bytes = new Uint8Array(buffer)
+    if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+      const zip = await openTemplateArchive(buffer)
+      for (const entry of Object.values(zip.files)) {
+        if (!entry.dir && /\.(xlf|xliff)$/i.test(entry.name)) documents.push(await entry.async("string"))
+      }
+    } else {
+      documents.push(new TextDecoder().decode(bytes))
+    }
+  }
+  if (review.xliff) documents.push(...[review.xliff].flat())
+
+  const byLanguage = new Map()
+  for (const document of documents) {
+    const { language, files } = parseXliff(document)
+    const pages = byLanguage.get(language.toLowerCase()) || new Map()
+    for (const { original, units } of files) {
+      if (original) pages.set(original, units)
+    }
+    byLanguage.set(language.toLowerCase(), pages)
+  }
+
+  if (byLanguage.size === 0) throw new PermanentJobError("No XLIFF files in the review", "invalid_review")
+  return byLanguage
+}
+
+// Answers segments from their reviewed units. Units are matched by number
+// and must still have the segment's source text; a unit whose number moved
+// (the template changed since the export) is found by its source text.
+// Targets are plain text: whatever markup a reviewer types stays text.
+function applyReviewedUnits(segments, units) {
+  const bySource = new Map()
+  for (const unit of units.values()) {
+    const key = normalizeSegment(unit.source)
+    if (unit.target !== undefined && !bySource.has(key)) bySource.set(key, unit)
+  }
+
+  const stats = { units: 0, applied: 0, unmatched: 0 }
+  const reviewed = segments.map((segment, i) => {
+    stats.units++
+    const source = normalizeSegment(readableText(segment, segment.text))
+    const numbered = units.get(String(i + 1))
+    const unit = numbered && normalizeSegment(numbered.source) === source ? numbered : bySource.get(source)
+
+    if (!unit || unit.target === undefined || !unit.target.trim()) {
+      stats.unmatched++
+      return segment
+    }
+    if (!inlineTagsIntact(segment, unit.target)) {
+      log.warn(`Unit ${i + 1} lost inline markup in review, keeping the source text`)
+      stats.unmatched++
+      return segment
+    }
+
+    stats.applied++
+    const target = segment.keyPath ? unit.target : escapeHtml(unit.target)
+    return { ...segment, translatedText: keepWhitespace(segment.text, target) }
+  })
+
+  return { segments: reviewed, stats }
+}
+
+// Same result shape as translateAllHTMLFiles, without any model calls.
+// Pages missing from the review keep their source text.
+export function applyReviewedTranslations(files, language, pages, options = {}) {
+  const segmentOptions = { attributes: options.translatableAttributes }
+  return files.map((file) =>
+    withLogContext({ file: file.filename, language }, () => {
+      const units = pages.get(file.filename)
+      if (!units) log.warn(`No reviewed ${language} translation of ${file.filename}, keeping the source`)
+
+      const { segments, stats } = applyReviewedUnits(extractTextSegments(file.html, segmentOptions), units || new Map())
+      const html = reassembleHTML(file.html, segments)
+      log.info(`Applied ${stats.applied}/${stats.units} reviewed segments to ${file.filename}`)
+      options.onSegments?.({ file: file.filename, segments })
+      options.onValidation?.({
+        file: file.filename,
+        mode: "reviewed",
+        review: stats,
+        ...validateTranslation(file.html, html, segmentOptions),
+      })
+      return { filename: file.filename, originalPath: file.originalPath, html }
+    }),
+  )
+}
+
+// A segmentTranslator for translateTextAsset that answers from the asset's
+// reviewed units, so an import keeps its JSON and SVG text translated
+export function reviewedAssetTranslator(filename, language, units) {
+  return async (segments) => {
+    if (!units) log.warn(`No reviewed ${language} translation of ${filename}, keeping the source`)
+    const { segments: reviewed, stats } = applyReviewedUnits(segments, units || new Map())
+    log.info(`Applied ${stats.applied}/${stats.units} reviewed segments to ${filename}`)
+    return reviewed
+  }
+}
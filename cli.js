@@ -0,0 +1,294 @@
+import { copyFile, mkdir, mkdtemp, readFile, readdir, rm, stat, writeFile } from "node:fs/promises"
+import os from "node:os"
+import path from "node:path"
+import { fileURLToPath, pathToFileURL } from "node:url"
+import { parseArgs } from "node:util"
+
+// Runs a translation job against a local template, without the queue,
+// Supabase or blob storage:
+//
+//   npm run translate -- ./template --language es --language fr -o ./out
+//
+// The package is written as a ZIP, or extracted into a folder when --out
+// doesn't end in .zip. Pages and assets are summarized per file. --dry-run
+// goes through the same pipeline with a provider that answers like the stub
+// and is priced as the real model, so segment, chunk and token counts match
+// what a real run would send; nothing is written. The translation memory is
+// the one the environment selects (TRANSLATION_MEMORY), except in a dry run,
+// which starts from an empty one so it doesn't store pseudo-translations.
+
+const USAGE = `Usage: npm run translate -- <template.zip | directory> --language <code> [options]
+
+  -l, --language <code>      Target language; repeat or comma-separate for one folder per locale
+  -o, --out <path>           Output .zip, or a folder to extract into (default: <template>-<languages>.zip)
+      --style <name | json>  Style profile name, or a profile object as JSON
+      --provider <name>      Translation provider (default: TRANSLATION_PROVIDER or gemini)
+      --model <name>         Model for the provider
+      --glossary <file>      JSON glossary: [{ source, target }] or { source: target }
+      --payload <file>       JSON with any other POST /translate fields (jsonPaths, previousTranslation, ...)
+      --max-cost <usd>       Stop before the estimated spend goes over this
+      --no-memory            Don't use the translation memory
+      --review               Also write the XLIFF/CSV review package next to the output
+      --dry-run              Report segments, chunks and estimated tokens without translating
+  -v, --verbose              Show the worker's logs
+  -h, --help                 Show this help`
+
+const OPTIONS = {
+  language: { type: "string", short: "l", multiple: true },
+  out: { type: "string", short: "o" },
+  style: { type: "string" },
+  provider: { type: "string" },
+  model: { type: "string" },
+  glossary: { type: "string" },
+  payload: { type: "string" },
+  "max-cost": { type: "string" },
+  "no-memory": { type: "boolean" },
+  review: { type: "boolean" },
+  "dry-run": { type: "boolean" },
+  verbose: { type: "boolean", short: "v" },
+  help: { type: "boolean", short: "h" },
+}
+
+class UsageError extends Error {}
+
+async function readJson(file, what) {
+  try {
+    return JSON.parse(await readFile(file, "utf8"))
+  } catch (error) {
+    throw new UsageError(`Could not read ${what} ${file}: ${error.message}`)
+  }
+}
+
+// Zips a template folder the way it would be uploaded
+async function zipDirectory(directory, JSZip) {
+  const zip = new JSZip()
+  for (const entry of await readdir(directory, { recursive: true, withFileTypes: true })) {
+    if (!entry.isFile()) continue
+    const filePath = path.join(entry.parentPath ?? entry.path, entry.name)
+    zip.file(path.relative(directory, filePath).split(path.sep).join("/"), await readFile(filePath))
+  }
+  return zip.generateAsync({ type: "nodebuffer" })
+}
+
+async function extractZip(buffer, directory, JSZip) {
+  const zip = await JSZip.loadAsync(buffer)
+  const root = path.resolve(directory)
+  let count = 0
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) continue
+    const target = path.resolve(root, entry.name)
+    if (!target.startsWith(root + path.sep)) continue
+    await mkdir(path.dirname(target), { recursive: true })
+    await writeFile(target, await entry.async("nodebuffer"))
+    count++
+  }
+  return count
+}
+
+function parseStyle(json) {
+  try {
+    return JSON.parse(json)
+  } catch (error) {
+    throw new UsageError(`--style is not valid JSON: ${error.message}`)
+  }
+}
+
+// The job payload, checked by the same schema as POST /translate
+async function buildPayload(values, template, templateZipUrl, parseTranslationRequest) {
+  const languages = (values.language || []).flatMap((value) => value.split(",")).map((value) => value.trim())
+  if (languages.length === 0) throw new UsageError("At least one --language is required")
+
+  const body = values.payload ? await readJson(values.payload, "payload") : {}
+  Object.assign(body, {
+    jobId: `cli-${Date.now()}`,
+    projectId: "cli",
+    userId: "cli",
+    projectName: body.projectName || path.basename(template).replace(/\.zip$/i, ""),
+    templateZipUrl,
+  })
+  if (languages.length === 1) body.language = languages[0]
+  else body.languages = languages
+  if (values.style) body.styleProfile = values.style.trim().startsWith("{") ? parseStyle(values.style) : values.style
+  if (values.provider) body.provider = values.provider
+  if (values.model) body.model = values.model
+  if (values.glossary) body.glossary = await readJson(values.glossary, "glossary")
+  if (values["max-cost"] !== undefined) body.maxCostUsd = Number(values["max-cost"])
+  if (values["no-memory"]) body.translationMemory = false
+  if (values["dry-run"]) body.provider = "dry-run"
+
+  const { job, errors } = parseTranslationRequest(body)
+  if (errors) {
+    throw new UsageError(Object.entries(errors).map(([field, message]) => `${field} ${message}`).join("\n"))
+  }
+  return { job, languages }
+}
+
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => String(row[column]).length)))
+  return rows
+    .map((row) => row.map((cell, column) => String(cell).padEnd(widths[column])).join("  ").trimEnd())
+    .join("\n")
+}
+
+// One row per page or asset and language: validation reports cover pages,
+// usage covers every file that made model calls
+function summaryRows(result) {
+  const rows = new Map()
+  const rowFor = (language, file) => {
+    const key = `${language}:${file}`
+    if (!rows.has(key)) {
+      rows.set(key, { language, file, mode: "-", segments: "-", issues: "-", calls: 0, chunks: 0 })
+      Object.assign(rows.get(key), { inputTokens: 0, outputTokens: 0, costUsd: 0 })
+    }
+    return rows.get(key)
+  }
+
+  for (const report of result.validation.files) {
+    Object.assign(rowFor(report.language, report.file), {
+      mode: report.mode,
+      segments: report.segments,
+      issues: report.issueCount,
+    })
+  }
+  for (const entry of result.usage.files) {
+    Object.assign(rowFor(entry.language, entry.file), {
+      calls: entry.calls,
+      chunks: entry.chunks.length,
+      inputTokens: entry.inputTokens,
+      outputTokens: entry.outputTokens,
+      costUsd: entry.costUsd,
+    })
+  }
+  return [...rows.values()]
+}
+
+function printSummary(result, { dryRun }) {
+  const rows = summaryRows(result)
+  const usage = result.usage
+  const cost = (usd) => `$${usd.toFixed(4)}`
+  const table = [
+    ["Language", "File", "Mode", "Segments", "Chunks", "Calls", "Input tokens", "Output tokens", "Cost", "Issues"],
+    ...rows.map((row) => [
+      row.language,
+      row.file,
+      row.mode,
+      row.segments,
+      row.chunks || "-",
+      row.calls,
+      row.inputTokens,
+      row.outputTokens,
+      cost(row.costUsd),
+      row.issues,
+    ]),
+    ["Total", `${rows.length} files`, "", "", "", usage.calls, usage.inputTokens, usage.outputTokens, cost(usage.costUsd)]
+      .concat(result.validation.filesWithIssues),
+  ]
+
+  console.log(formatTable(table))
+  if (dryRun) {
+    console.log("\nDry run: token counts and cost are estimates; no model was called and nothing was written.")
+  }
+}
+
+async function main() {
+  let parsed
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true })
+  } catch (error) {
+    throw new UsageError(error.message)
+  }
+  const { values, positionals } = parsed
+  if (values.help) {
+    console.log(USAGE)
+    return 0
+  }
+  if (positionals.length !== 1) throw new UsageError("Expected one template ZIP or directory")
+
+  const template = path.resolve(positionals[0])
+  const templateStat = await stat(template).catch(() => null)
+  if (!templateStat) throw new UsageError(`No such file or directory: ${positionals[0]}`)
+
+  const dryRun = Boolean(values["dry-run"])
+  const workDir = await mkdtemp(path.join(os.tmpdir(), "purepage-translate-"))
+
+  // Read when the worker modules load, so these are set before importing them
+  process.env.LOG_LEVEL ??= values.verbose ? "info" : "warn"
+  process.env.LOG_FORMAT ??= "pretty"
+  process.env.STATUS_STORE ??= "memory"
+  process.env.STORAGE_BACKEND = "local"
+  process.env.STORAGE_LOCAL_DIR = workDir
+  if (dryRun) process.env.TRANSLATION_MEMORY = "memory"
+
+  const { default: JSZip } = await import("jszip")
+  const { parseTranslationRequest } = await import("./job-payload.js")
+  const { processTranslationJob } = await import("./translator.js")
+  const { JobCancelledError } = await import("./job-errors.js")
+  const { createUsageTracker } = await import("./usage.js")
+
+  try {
+    // Local storage only reads files under its own folder
+    const templatePath = path.join(workDir, "template.zip")
+    if (templateStat.isDirectory()) {
+      await writeFile(templatePath, await zipDirectory(template, JSZip))
+    } else {
+      await copyFile(template, templatePath)
+    }
+    const templateZipUrl = pathToFileURL(templatePath).href
+    const { job, languages } = await buildPayload(values, template, templateZipUrl, parseTranslationRequest)
+
+    // Ctrl-C stops at the next chunk boundary; a second one exits at once
+    const controller = new AbortController()
+    process.once("SIGINT", () => {
+      process.stderr.write("Stopping after the current model calls...\n")
+      controller.abort(new JobCancelledError("Interrupted"))
+      process.once("SIGINT", () => process.exit(130))
+    })
+
+    let step = null
+    const result = await processTranslationJob(job, {
+      signal: controller.signal,
+      usage: createUsageTracker({ budgetUsd: job.maxCostUsd ?? null }),
+      onProgress: ({ currentStep }) => {
+        if (!currentStep || currentStep === step || values.verbose) return
+        step = currentStep
+        process.stderr.write(`${currentStep}\n`)
+      },
+    })
+
+    printSummary(result, { dryRun })
+    if (dryRun) return 0
+
+    const base = path.basename(template).replace(/\.zip$/i, "")
+    const out = path.resolve(values.out || `${base}-${languages.join("-")}.zip`)
+    const output = await readFile(fileURLToPath(result.zipUrl))
+    if (/\.zip$/i.test(out)) {
+      await mkdir(path.dirname(out), { recursive: true })
+      await writeFile(out, output)
+      console.log(`\nWrote ${out} (${output.byteLength} bytes)`)
+    } else {
+      const count = await extractZip(output, out, JSZip)
+      console.log(`\nWrote ${count} files to ${out}`)
+    }
+
+    if (values.review) {
+      const reviewOut = `${out.replace(/\.zip$/i, "")}-review.zip`
+      await writeFile(reviewOut, await readFile(fileURLToPath(result.reviewZipUrl)))
+      console.log(`Wrote review files to ${reviewOut}`)
+    }
+    return 0
+  } finally {
+    await rm(workDir, { recursive: true, force: true })
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`)
+      process.exit(2)
+    }
+    console.error(`Translation failed: ${error.message}`)
+    process.exit(error.name === "JobCancelledError" ? 130 : 1)
+  },
+)
@@ -0,0 +1,25 @@
+// Runs `worker(item, index)` over `items` with at most `limit` in flight and
+// resolves to the results in input order. After the first failure no new
+// items are started; the error is thrown once the running ones settle.
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length)
+  let next = 0
+  let failure = null
+
+  async function run() {
+    while (next < items.length && !failure) {
+      const index = next++
+      try {
+        results[index] = await worker(items[index], index)
+      } catch (error) {
+        failure ??= { error }
+      }
+    }
+  }
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, run)
+  await Promise.all(runners)
+
+  if (failure) throw failure.error
+  return results
+}
@@ -1,6 +1,27 @@
-import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from "@google/generative-ai"
+import {
+  alignSegments,
+  extractTextSegments,
+  getTranslatableAttributes,
+  inlineTagsIntact,
+  reassembleHTML,
+} from "./html-segments.js"
+import { mapWithConcurrency } from "./concurrency.js"
+import { findGlossaryViolations, glossaryPromptRules, protectTerms, restoreTerms } from "./glossary.js"
+import { TranslationValidationError, validateTranslation } from "./html-validation.js"
+import { BudgetExceededError } from "./job-errors.js"
+import { log, withLogContext } from "./logger.js"
+import { chunksTotal, costTotal, failuresTotal, modelCallDuration, retriesTotal, tokensTotal } from "./metrics.js"
+import { applyPreviousTranslations } from "./previous-translation.js"
+import { estimateTokens, getRateLimiter, isRateLimitError, retryDelayFrom } from "./rate-limiter.js"
+import { stylePromptRules, styleScope } from "./style-profiles.js"
+import { getTranslationProvider } from "./translation-providers.js"
+import { applyTranslationMemory, rememberTranslations } from "./translation-memory.js"
+import { costOf } from "./usage.js"
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || "")
+// Files of a job and chunks of a file translated at once; the shared rate
+// limiter decides how fast requests actually go out
+const FILE_CONCURRENCY = Number(process.env.TRANSLATION_FILE_CONCURRENCY) || 3
+const CHUNK_CONCURRENCY = Number(process.env.TRANSLATION_CHUNK_CONCURRENCY) || 4
 
 // Language character validation patterns
 const LANGUAGE_PATTERNS = {
@@ -25,36 +46,72 @@ const LANGUAGE_PATTERNS = {
   tr: /./,
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms))
+function resolveProvider(options) {
+  if (options.provider && typeof options.provider.generate === "function") {
+    return options.provider
+  }
+  return getTranslationProvider({ provider: options.provider, model: options.model })
 }
 
-function extractTextSegments(html) {
-  const segments = []
-  
-  // Match text between HTML tags, but not inside script/style/code tags
-  // Also skip attributes and tag names
-  const tagPattern = /<(script|style|code|pre)[^>]*>[\s\S]*?<\/\1>|<[^>]+>|([^<]+)/gi
-  
-  let match
-  let position = 0
-  
-  while ((match = tagPattern.exec(html)) !== null) {
-    const fullMatch = match[0]
-    const textContent = match[2] // This is the text between tags (if any)
-    
-    if (textContent && textContent.trim().length > 0) {
-      // This is actual text content, not a tag
-      segments.push({
-        start: match.index,
-        end: match.index + fullMatch.length,
-        text: textContent,
-        isTranslatable: true
-      })
+// Remembered translations made without this job's glossary may not follow it
+function acceptRemembered(glossary) {
+  return (seg, translation) =>
+    inlineTagsIntact(seg, translation) && findGlossaryViolations(seg.text, translation, glossary).length === 0
+}
+
+// Every model call waits its turn on the process-wide limiter; a 429 slows
+// down all jobs, not just the one that hit it. With a `usage` tracker the
+// call is checked against the job's budget first and its tokens recorded.
+async function generate(provider, request, { signal, usage, chunk } = {}) {
+  const promptTokens = estimateTokens(request.prompt)
+  const reserved = usage?.reserve(provider.model, promptTokens) ?? 0
+
+  const limited = provider.rateLimited !== false
+  if (limited) {
+    try {
+      // Output is about as long as the text sent, so count the prompt twice
+      await getRateLimiter().acquire(promptTokens * 2, signal)
+    } catch (error) {
+      usage?.release(reserved)
+      throw error
     }
   }
-  
-  return segments
+
+  const endTimer = modelCallDuration.startTimer({ provider: provider.name, task: request.task })
+  let result
+  try {
+    result = await provider.generate(request)
+    endTimer({ outcome: "success" })
+  } catch (error) {
+    usage?.release(reserved)
+    const rateLimited = isRateLimitError(error)
+    endTimer({ outcome: rateLimited ? "rate_limited" : "error" })
+    if (rateLimited && limited) {
+      log.warn(`Rate limited by ${provider.name}, backing off`)
+      getRateLimiter().backOff(retryDelayFrom(error))
+    }
+    throw error
+  }
+
+  // Providers that don't report usage are billed on the estimate
+  const tokens = result.usage || { inputTokens: promptTokens, outputTokens: estimateTokens(result.text) }
+  const labels = { provider: provider.name, model: provider.model }
+  tokensTotal.inc({ ...labels, direction: "input" }, tokens.inputTokens)
+  tokensTotal.inc({ ...labels, direction: "output" }, tokens.outputTokens)
+  costTotal.inc(labels, usage ? usage.record(provider.model, tokens, { chunk, reserved }) : costOf(provider.model, tokens))
+  return result
+}
+
+// Metric label for an attempt that threw
+function failureReason(error) {
+  if (error instanceof TranslationValidationError) return "validation"
+  if (isRateLimitError(error)) return "rate_limited"
+  if (/glossary/i.test(error.message)) return "glossary"
+  return "error"
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
 }
 
 function createTextChunks(segments, maxChunkSize = 5000) {
@@ -81,22 +138,18 @@ function createTextChunks(segments, maxChunkSize = 5000) {
   return chunks
 }
 
-async function translateTextChunk(textSegments, language, vertical, chunkIndex, totalChunks) {
-  const model = genAI.getGenerativeModel({
-    model: "gemini-3-flash-preview",
-    generationConfig: {
-      temperature: 0.3,
-    },
-    safetySettings: [
-      { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_ONLY_HIGH },
-      { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_ONLY_HIGH },
-      { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_ONLY_HIGH },
-      { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_ONLY_HIGH },
-    ],
-  })
-  
+async function translateTextChunk(textSegments, language, vertical, chunkIndex, totalChunks, options) {
+  const { provider, signal, glossary, usage } = options
+
+  // Protected names travel as ⟦n⟧ tokens and are put back after parsing.
+  // Line breaks are collapsed so every segment stays on its numbered line.
+  const protectedSegments = textSegments.map((seg) => protectTerms(seg.text.replace(/\s*\n\s*/g, " "), glossary))
+  const extraRules = [...stylePromptRules(options.style, language), ...glossaryPromptRules(glossary)]
+    .map((rule, i) => `${8 + i}. ${rule}\n`)
+    .join("")
+
   // Create a numbered list of text to translate
-  const textList = textSegments.map((seg, i) => `[${i}] ${seg.text}`).join('\n')
+  const textList = protectedSegments.map((seg, i) => `[${i}] ${seg.text}`).join('\n')
   
   const prompt = `Translate the following numbered text segments to ${language}.
 
@@ -106,17 +159,27 @@ RULES:
 3. Translate naturally for a ${vertical} landing page
 4. Do NOT add any explanations or notes
 5. Preserve any numbers, URLs, or special characters within the text
-
+6. Some segments are attribute values (button labels, image descriptions, meta descriptions); translate them as short standalone phrases
+7. Tokens like {1}...{/1} and {2/} stand for inline markup (links, bold text, line breaks); keep each one exactly once, around the words it wraps
+${extraRules}
 Text segments to translate:
 ${textList}`
 
   const maxRetries = 3
+  let lastFailure = null
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    signal?.throwIfAborted()
+    if (lastFailure) retriesTotal.inc({ kind: "chunk", reason: lastFailure })
+
     try {
-      console.log(`[Railway] Chunk ${chunkIndex + 1}/${totalChunks}: Attempt ${attempt} (${textSegments.length} segments)`)
+      log.debug(`Chunk ${chunkIndex + 1}/${totalChunks}: Attempt ${attempt} (${textSegments.length} segments)`)
       
-      const result = await model.generateContent(prompt)
-      const response = result.response.text().trim()
+      const result = await generate(
+        provider,
+        { task: "segments", prompt, language, segments: protectedSegments.map((seg) => seg.text), glossary },
+        { signal, usage, chunk: chunkIndex },
+      )
+      const response = result.text.trim()
       
       // Parse the response back into segments
       const translatedMap = new Map()
@@ -133,7 +196,8 @@ ${textList}`
       
       // Verify we got all translations
       if (translatedMap.size < textSegments.length * 0.8) {
-        console.log(`[Railway] Chunk ${chunkIndex + 1}: Only got ${translatedMap.size}/${textSegments.length} translations, retrying...`)
+        log.warn(`Chunk ${chunkIndex + 1}: Only got ${translatedMap.size}/${textSegments.length} translations, retrying...`)
+        lastFailure = "incomplete"
         await sleep(2000 * attempt)
         continue
       }
@@ -144,95 +208,227 @@ ${textList}`
         const pattern = LANGUAGE_PATTERNS[language]
         const hasTargetChars = Array.from(translatedMap.values()).some(text => pattern.test(text))
         if (!hasTargetChars) {
-          console.log(`[Railway] Chunk ${chunkIndex + 1}: No ${language} characters found, retrying...`)
+          log.warn(`Chunk ${chunkIndex + 1}: No ${language} characters found, retrying...`)
+          lastFailure = "wrong_language"
           await sleep(2000 * attempt)
           continue
         }
       }
       
-      console.log(`[Railway] Chunk ${chunkIndex + 1}/${totalChunks}: Successfully translated ${translatedMap.size} segments`)
+      // Put protected names back and check forced terminology
+      const violations = []
+      for (const [index, text] of translatedMap) {
+        if (!textSegments[index]) continue
+
+        const restored = restoreTerms(text, protectedSegments[index].tokens)
+        if (restored === null) {
+          violations.push(`[${index}] lost a protected term`)
+          continue
+        }
+        translatedMap.set(index, restored)
+        violations.push(
+          ...findGlossaryViolations(textSegments[index].text, restored, glossary).map((issue) => `[${index}] ${issue}`),
+        )
+      }
+
+      // Sentences whose markup tokens were lost or duplicated are retried, then
+      // left untranslated rather than failing the whole job
+      const brokenTags = [...translatedMap].filter(
+        ([index, text]) => textSegments[index] && !inlineTagsIntact(textSegments[index], text),
+      )
+      if (brokenTags.length > 0 && attempt < maxRetries) {
+        log.warn(`Chunk ${chunkIndex + 1}: ${brokenTags.length} segments lost inline markup, retrying...`)
+        lastFailure = "inline_markup"
+        await sleep(2000 * attempt)
+        continue
+      }
+      for (const [index] of brokenTags) {
+        log.warn(`Chunk ${chunkIndex + 1}: Keeping segment ${index} untranslated, inline markup was lost`)
+        translatedMap.delete(index)
+      }
+
+      if (violations.length > 0) {
+        const summary = violations.slice(0, 3).join("; ")
+        if (attempt === maxRetries) {
+          throw new Error(`Chunk ${chunkIndex + 1} violates the glossary: ${summary}`)
+        }
+        log.warn(`Chunk ${chunkIndex + 1}: ${violations.length} glossary violations (${summary}), retrying...`)
+        lastFailure = "glossary"
+        await sleep(2000 * attempt)
+        continue
+      }
+
+      log.debug(`Chunk ${chunkIndex + 1}/${totalChunks}: Successfully translated ${translatedMap.size} segments`)
+      chunksTotal.inc()
       
       // Return the translated segments
       return textSegments.map((seg, i) => ({
         ...seg,
-        translatedText: translatedMap.get(i) || seg.text // Fallback to original if missing
+        translatedText: translatedMap.get(i) || seg.text, // Fallback to original if missing
+        fromModel: translatedMap.has(i),
       }))
       
     } catch (error) {
-      console.log(`[Railway] Chunk ${chunkIndex + 1}: Attempt ${attempt} failed: ${error.message}`)
+      log.warn(`Chunk ${chunkIndex + 1}: Attempt ${attempt} failed`, { error: error.message })
+      if (error instanceof BudgetExceededError) throw error
+      lastFailure = failureReason(error)
       if (attempt === maxRetries) {
+        if (!signal?.aborted) failuresTotal.inc({ kind: "chunk", reason: lastFailure })
         throw error
       }
       await sleep(2000 * attempt)
     }
   }
   
+  failuresTotal.inc({ kind: "chunk", reason: lastFailure })
   throw new Error(`Failed to translate chunk ${chunkIndex + 1}`)
 }
 
-function reassembleHTML(originalHTML, translatedSegments) {
-  // Sort segments by position in reverse order so we can replace from end to start
-  // This prevents position shifts from affecting subsequent replacements
-  const sortedSegments = [...translatedSegments].sort((a, b) => b.start - a.start)
-  
-  let result = originalHTML
-  
-  for (const segment of sortedSegments) {
-    if (segment.translatedText) {
-      result = result.slice(0, segment.start) + segment.translatedText + result.slice(segment.end)
-    }
+// Translates standalone segments ({ text }) in numbered chunks, filling in
+// `translatedText`. Used for page text as well as JSON and SVG assets.
+// `previousSegments` (normalized source -> translation from an earlier
+// package) is consulted before the translation memory.
+export async function translateSegments(segments, language, vertical, options = {}) {
+  options = { ...options, provider: resolveProvider(options) }
+
+  const memoryScope = { language, vertical, style: styleScope(options.style, language) }
+  const useMemory = options.translationMemory !== false
+  const followsGlossary = acceptRemembered(options.glossary)
+
+  if (options.previousSegments) {
+    segments = applyPreviousTranslations(segments, options.previousSegments, options.reuseStats, followsGlossary)
+  }
+  const reusedSegments = segments.filter((seg) => seg.translatedText !== undefined)
+  if (reusedSegments.length > 0) {
+    log.info(`${reusedSegments.length}/${segments.length} segments from the previous translation`)
+  }
+
+  let pendingSegments = segments.filter((seg) => seg.translatedText === undefined)
+  if (useMemory) {
+    pendingSegments = await applyTranslationMemory(pendingSegments, memoryScope, options.memoryStats, followsGlossary)
   }
+  const rememberedSegments = [...reusedSegments, ...pendingSegments.filter((seg) => seg.translatedText !== undefined)]
+  if (rememberedSegments.length > reusedSegments.length) {
+    log.info(`${rememberedSegments.length - reusedSegments.length}/${segments.length} segments from translation memory`)
+  }
+  pendingSegments = pendingSegments.filter((seg) => seg.translatedText === undefined)
   
-  return result
+  // Group into chunks
+  const chunks = createTextChunks(pendingSegments, 4000)
+  log.info(`Created ${chunks.length} chunks for translation`)
+  
+  // Translate chunks in parallel; order is restored by position when the
+  // segments are reassembled. Each chunk goes into the translation memory as
+  // soon as it is done, so a job that is cancelled or interrupted part way
+  // doesn't pay for the same chunks again when it is retried.
+  let chunksDone = 0
+  const translatedChunks = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, (chunk, i) =>
+    withLogContext({ chunk: i + 1 }, async () => {
+      options.signal?.throwIfAborted()
+      log.debug(`Translating chunk ${i + 1}/${chunks.length}...`)
+      const translatedChunk = await translateTextChunk(chunk, language, vertical, i, chunks.length, options)
+      if (useMemory) await rememberTranslations(translatedChunk.filter((seg) => seg.fromModel), memoryScope)
+      options.onProgress?.({ chunk: ++chunksDone, totalChunks: chunks.length })
+      return translatedChunk
+    }),
+  )
+  const allTranslatedSegments = translatedChunks.flat()
+
+  return [...allTranslatedSegments, ...rememberedSegments]
 }
 
-export async function translateHTML(html, language, vertical, maxRetries = 3) {
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error("GEMINI_API_KEY not configured")
-  }
+// `options.onSegments` is called with the page's segments and their
+// translations, which become the bilingual review files
+export async function translateHTML(html, language, vertical, options = {}) {
+  const { maxRetries = 3 } = options
 
   if (language === "en") {
     return html
   }
 
+  options = { ...options, provider: resolveProvider(options) }
+
+  const segmentOptions = { attributes: options.translatableAttributes }
+  const memoryScope = { language, vertical, style: styleScope(options.style, language) }
+  const useMemory = options.translationMemory !== false
+  const followsGlossary = acceptRemembered(options.glossary)
+
   const CHUNK_THRESHOLD = 15000 // Use chunked translation for files > 15K chars
+  let fallbackIssues = null
   
-  if (html.length <= CHUNK_THRESHOLD) {
-    console.log(`[Railway] Small file (${html.length} chars), using direct translation`)
-    return translateHTMLDirect(html, language, vertical, maxRetries)
+  // Incremental jobs go segment by segment so unchanged text isn't resent
+  if (html.length <= CHUNK_THRESHOLD && !options.previousSegments) {
+    // Stats are counted for the path that is taken: hits only when the memory
+    // covers the whole page, misses for every segment sent to the model
+    let segmentCount = 0
+    if (useMemory) {
+      // A page made entirely of remembered segments needs no model call
+      const remembered = await applyTranslationMemory(
+        extractTextSegments(html, segmentOptions),
+        memoryScope,
+        null,
+        followsGlossary,
+      )
+      segmentCount = remembered.length
+      if (remembered.length > 0 && remembered.every((seg) => seg.translatedText !== undefined)) {
+        log.info(`Small file (${html.length} chars), all ${remembered.length} segments from translation memory`)
+        if (options.memoryStats) options.memoryStats.hits += remembered.length
+        const translatedHTML = reassembleHTML(html, remembered)
+        options.onSegments?.(remembered)
+        options.onValidation?.({ mode: "memory", ...validateTranslation(html, translatedHTML, segmentOptions) })
+        return translatedHTML
+      }
+    }
+
+    log.info(`Small file (${html.length} chars), using direct translation`)
+    try {
+      const { translatedHTML, report } = await translateHTMLDirect(html, language, vertical, maxRetries, options)
+      options.onValidation?.({ mode: "direct", ...report })
+      if (options.memoryStats) options.memoryStats.misses += segmentCount
+
+      // Only pages whose segments line up one-to-one can feed the memory and
+      // the review files; segments the model left unchanged are skipped
+      // rather than remembered
+      const aligned = useMemory || options.onSegments ? alignSegments(html, translatedHTML, segmentOptions) : null
+      if (useMemory && aligned) {
+        await rememberTranslations(aligned.filter((seg) => seg.translatedText !== undefined && seg.translatedText.trim() !== seg.text.trim()), memoryScope)
+      }
+      if (options.onSegments) {
+        if (!aligned) log.warn("Direct translation doesn't line up with the source, review file has no targets")
+        options.onSegments(aligned || extractTextSegments(html, segmentOptions))
+      }
+      return translatedHTML
+    } catch (error) {
+      if (!(error instanceof TranslationValidationError)) throw error
+
+      // Chunked translation can't damage the markup, so it is the safe fallback
+      log.warn(`Direct translation kept failing validation, falling back to chunked translation`)
+      fallbackIssues = error.report.issues.filter((issue) => issue.severity === "error")
+    }
   }
   
-  console.log(`[Railway] Large file (${html.length} chars), using CHUNKED translation`)
+  if (options.previousSegments) {
+    log.info(`Reusing the previous translation (${html.length} chars), using CHUNKED translation`)
+  } else if (!fallbackIssues) {
+    log.info(`Large file (${html.length} chars), using CHUNKED translation`)
+  }
   
   // Step 1: Extract text segments
-  const segments = extractTextSegments(html)
-  console.log(`[Railway] Extracted ${segments.length} text segments`)
+  const segments = extractTextSegments(html, segmentOptions)
+  log.debug(`Extracted ${segments.length} text and attribute segments`)
   
   if (segments.length === 0) {
-    console.log(`[Railway] No translatable text found, returning original`)
+    log.info(`No translatable text found, returning original`)
+    options.onSegments?.([])
     return html
   }
-  
-  // Step 2: Group into chunks
-  const chunks = createTextChunks(segments, 4000)
-  console.log(`[Railway] Created ${chunks.length} chunks for translation`)
-  
-  // Step 3: Translate each chunk sequentially (to avoid rate limits)
-  const allTranslatedSegments = []
-  
-  for (let i = 0; i < chunks.length; i++) {
-    console.log(`[Railway] Translating chunk ${i + 1}/${chunks.length}...`)
-    const translatedChunk = await translateTextChunk(chunks[i], language, vertical, i, chunks.length)
-    allTranslatedSegments.push(...translatedChunk)
-    
-    // Small delay between chunks to avoid rate limits
-    if (i < chunks.length - 1) {
-      await sleep(500)
-    }
-  }
-  
+
+  // Steps 2-3: Translate in chunks, reusing remembered segments
+  const allTranslatedSegments = await translateSegments(segments, language, vertical, options)
+  options.onSegments?.(allTranslatedSegments)
+
   // Step 4: Reassemble HTML with translated text
-  console.log(`[Railway] Reassembling HTML with ${allTranslatedSegments.length} translated segments`)
+  log.debug(`Reassembling HTML with ${allTranslatedSegments.length} translated segments`)
   const translatedHTML = reassembleHTML(html, allTranslatedSegments)
   
   // Validate the result
@@ -250,46 +446,60 @@ export async function translateHTML(html, language, vertical, maxRetries = 3) {
     }
   }
   
-  console.log(`[Railway] Chunked translation complete: ${html.length} -> ${translatedHTML.length} chars`)
+  const report = validateTranslation(html, translatedHTML, segmentOptions)
+  options.onValidation?.({ mode: "chunked", ...report, ...(fallbackIssues && { directIssues: fallbackIssues }) })
+  if (!report.ok) {
+    // Markup comes from the source here, so remaining issues are the model's
+    // wording; they are reported rather than failing the file
+    log.warn(`Chunked translation has ${report.issueCount} validation issues`)
+  }
+
+  log.info(`Chunked translation complete: ${html.length} -> ${translatedHTML.length} chars`)
   return translatedHTML
 }
 
-async function translateHTMLDirect(html, language, vertical, maxRetries = 3) {
-  const model = genAI.getGenerativeModel({
-    model: "gemini-3-flash-preview",
-    generationConfig: {
-      temperature: 0.3,
-    },
-    safetySettings: [
-      { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_ONLY_HIGH },
-      { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_ONLY_HIGH },
-      { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_ONLY_HIGH },
-      { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_ONLY_HIGH },
-    ],
-  })
+async function translateHTMLDirect(html, language, vertical, maxRetries, options) {
+  const { provider, signal, glossary, usage } = options
+  const attributes = [...getTranslatableAttributes(options.translatableAttributes)].join(", ")
+  const { text: protectedHTML, tokens } = protectTerms(html, glossary)
+  const extraRules = [...stylePromptRules(options.style, language), ...glossaryPromptRules(glossary)]
+    .map((rule, i) => `${8 + i}. ${rule}\n`)
+    .join("")
+  const visibleText = extractTextSegments(html, { attributes: options.translatableAttributes })
+    .map((seg) => seg.text)
+    .join("\n")
 
   const prompt = `You are translating a complete webpage to ${language}.
 
 CRITICAL RULES:
-1. Translate ONLY text content between HTML tags
-2. NEVER modify HTML tags, attributes, class names, IDs, or structure
-3. Keep ALL image src paths exactly as-is
-4. Keep ALL links href exactly as-is
-5. Return ONLY the complete translated HTML starting with <!DOCTYPE html>
-6. Your response must start with <!DOCTYPE html> and end with </html>
-
+1. Translate text content between HTML tags
+2. Also translate the values of these visible attributes: ${attributes}, and the content of <meta> description, og:title, og:description and twitter:title/description tags
+3. NEVER modify HTML tags, other attributes, class names, IDs, or structure
+4. Keep ALL image src paths exactly as-is
+5. Keep ALL links href exactly as-is
+6. Return ONLY the complete translated HTML starting with <!DOCTYPE html>
+7. Your response must start with <!DOCTYPE html> and end with </html>
+${extraRules}
 Context: ${vertical} landing page
 Target Language: ${language}
 
 HTML to translate:
-${html}`
+${protectedHTML}`
 
+  let lastFailure = null
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    signal?.throwIfAborted()
+    if (lastFailure) retriesTotal.inc({ kind: "direct", reason: lastFailure })
+
     try {
-      console.log(`[Railway] Direct translation attempt ${attempt}/${maxRetries}`)
+      log.debug(`Direct translation attempt ${attempt}/${maxRetries}`)
       
-      const result = await model.generateContent(prompt)
-      let translatedHTML = result.response.text()
+      const result = await generate(
+        provider,
+        { task: "document", prompt, language, html: protectedHTML, glossary },
+        { signal, usage },
+      )
+      let translatedHTML = result.text
       
       // Clean up response
       translatedHTML = translatedHTML.replace(/^```html\s*/i, "").replace(/^```\s*/i, "").replace(/\s*```$/i, "")
@@ -309,15 +519,42 @@ ${html}`
       // Validate
       const hasHTML = translatedHTML.toLowerCase().includes("<html") && translatedHTML.toLowerCase().includes("</html>")
       if (!hasHTML) {
-        throw new Error("Missing HTML structure")
+        // Usually a truncated response
+        throw new TranslationValidationError({
+          ok: false,
+          issues: [{ severity: "error", type: "structure", message: "Missing HTML structure" }],
+          issueCount: 1,
+          segments: 0,
+          untranslated: 0,
+        })
+      }
+
+      translatedHTML = restoreTerms(translatedHTML, tokens)
+      if (translatedHTML === null) {
+        throw new Error("Protected glossary terms were lost")
+      }
+
+      const violations = findGlossaryViolations(visibleText, translatedHTML, glossary)
+      if (violations.length > 0) {
+        throw new Error(`Glossary violations: ${violations.slice(0, 3).join("; ")}`)
+      }
+
+      const report = validateTranslation(html, translatedHTML, { attributes: options.translatableAttributes })
+      if (!report.ok) {
+        throw new TranslationValidationError(report)
       }
       
-      console.log(`[Railway] Direct translation successful: ${translatedHTML.length} chars`)
-      return translatedHTML
+      log.info(`Direct translation successful: ${translatedHTML.length} chars`)
+      return { translatedHTML, report }
       
     } catch (error) {
-      console.log(`[Railway] Direct translation attempt ${attempt} failed: ${error.message}`)
-      if (attempt === maxRetries) throw error
+      log.warn(`Direct translation attempt ${attempt} failed`, { error: error.message })
+      if (error instanceof BudgetExceededError) throw error
+      lastFailure = failureReason(error)
+      if (attempt === maxRetries) {
+        if (!signal?.aborted) failuresTotal.inc({ kind: "direct", reason: lastFailure })
+        throw error
+      }
       await sleep(2000 * attempt)
     }
   }
@@ -326,31 +563,45 @@ ${html}`
 }
 
 // Translate all HTML files
-export async function translateAllHTMLFiles(files, language, vertical) {
-  console.log(`[Railway] Starting translation of ${files.length} HTML files to ${language}`)
+export async function translateAllHTMLFiles(files, language, vertical, options = {}) {
+  const provider = resolveProvider(options)
+  log.info(`Starting translation of ${files.length} HTML files to ${language} (${provider.name}/${provider.model})`, { language })
 
-  const results = []
-  
-  for (let i = 0; i < files.length; i++) {
-    const file = files[i]
-    console.log(`[Railway] [${i + 1}/${files.length}] Translating ${file.filename} (${file.html.length} chars)`)
+  let filesDone = 0
+  const results = await mapWithConcurrency(files, FILE_CONCURRENCY, (file, i) =>
+    withLogContext({ file: file.filename, language }, async () => {
+      options.signal?.throwIfAborted()
+      options.onProgress?.({ file: file.filename, fileIndex: i + 1, totalFiles: files.length, filesCompleted: filesDone })
+
+      log.info(`[${i + 1}/${files.length}] Translating ${file.filename} (${file.html.length} chars)`)
     
-    try {
-      const translatedHTML = await translateHTML(file.html, language, vertical)
+      try {
+        const translatedHTML = await translateHTML(file.html, language, vertical, {
+          ...options,
+          provider,
+          previousSegments: options.previousTranslations?.forFile(file.filename),
+          usage: options.usage?.forFile(file.filename, language),
+          // Chunk progress is reported per file
+          onProgress: (update) => options.onProgress?.({ ...update, file: file.filename }),
+          onValidation: (report) => options.onValidation?.({ file: file.filename, ...report }),
+          onSegments: (segments) => options.onSegments?.({ file: file.filename, segments }),
+        })
       
-      console.log(`[Railway] [${i + 1}/${files.length}] Successfully translated ${file.filename}`)
+        log.info(`[${i + 1}/${files.length}] Successfully translated ${file.filename}`)
+        options.onProgress?.({ filesCompleted: ++filesDone, totalFiles: files.length })
       
-      results.push({
-        filename: file.filename,
-        originalPath: file.originalPath,
-        html: translatedHTML,
-      })
-    } catch (error) {
-      console.log(`[Railway] [${i + 1}/${files.length}] FAILED to translate ${file.filename}: ${error.message}`)
-      throw error
-    }
-  }
+        return {
+          filename: file.filename,
+          originalPath: file.originalPath,
+          html: translatedHTML,
+        }
+      } catch (error) {
+        log.error(`[${i + 1}/${files.length}] FAILED to translate ${file.filename}`, { error: error.message })
+        throw error
+      }
+    }),
+  )
   
-  console.log(`[Railway] All ${files.length} files translated successfully!`)
+  log.info(`All ${files.length} files translated successfully!`, { language })
   return results
 }
@@ -0,0 +1,89 @@
+// Per-job terminology. `glossary` forces translations ("dating" -> "citas")
+// and `doNotTranslate` lists names that must come back verbatim. Protected
+// names are swapped for ⟦n⟧ tokens before the text reaches the model, so they
+// can't be translated or respelled; forced translations are passed in the
+// prompt and checked on the way back.
+
+const TOKEN_PATTERN = /⟦(\d+)⟧/g
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+function termPattern(term, flags = "gu") {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, flags)
+}
+
+// Accepts `glossary` as [{ source, target }] or { source: target }
+export function createGlossary({ glossary, doNotTranslate } = {}) {
+  const entries = Array.isArray(glossary)
+    ? glossary.map(({ source, target }) => ({ source, target }))
+    : Object.entries(glossary || {}).map(([source, target]) => ({ source, target }))
+
+  const terms = entries.filter(({ source, target }) => source?.trim() && target?.trim())
+  // Longest first so "PurePage Pro" is protected before "PurePage"
+  const protectedTerms = [...new Set((doNotTranslate || []).filter((term) => term?.trim()))].sort(
+    (a, b) => b.length - a.length,
+  )
+
+  if (terms.length === 0 && protectedTerms.length === 0) return null
+  return { terms, protectedTerms }
+}
+
+export function protectTerms(text, glossary) {
+  const tokens = []
+  if (!glossary) return { text, tokens }
+
+  let protectedText = text
+  for (const term of glossary.protectedTerms) {
+    protectedText = protectedText.replace(termPattern(term), (match) => {
+      tokens.push(match)
+      return `⟦${tokens.length - 1}⟧`
+    })
+  }
+  return { text: protectedText, tokens }
+}
+
+// Returns null when the model dropped a token
+export function restoreTerms(text, tokens) {
+  if (tokens.length === 0) return text
+
+  const seen = new Set()
+  const restored = text.replace(TOKEN_PATTERN, (match, index) => {
+    seen.add(Number(index))
+    return tokens[Number(index)] ?? match
+  })
+
+  if (tokens.some((token, i) => !seen.has(i))) return null
+  return restored
+}
+
+export function findGlossaryViolations(source, translation, glossary) {
+  if (!glossary) return []
+
+  const violations = []
+  for (const { source: term, target } of glossary.terms) {
+    if (termPattern(term, "iu").test(source) && !translation.toLowerCase().includes(target.toLowerCase())) {
+      violations.push(`"${term}" must be translated as "${target}"`)
+    }
+  }
+  for (const term of glossary.protectedTerms) {
+    if (termPattern(term, "u").test(source) && !translation.includes(term)) {
+      violations.push(`"${term}" must not be translated`)
+    }
+  }
+  return violations
+}
+
+export function glossaryPromptRules(glossary) {
+  if (!glossary) return []
+
+  const rules = []
+  if (glossary.protectedTerms.length > 0) {
+    rules.push("Keep every ⟦number⟧ token exactly as-is; each stands for a name that must not be translated")
+  }
+  for (const { source, target } of glossary.terms) {
+    rules.push(`Always translate "${source}" as "${target}"`)
+  }
+  return rules
+}
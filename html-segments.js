@@ -0,0 +1,459 @@
+import { parse } from "parse5"
+
+// Attributes whose values are shown to visitors and should be translated.
+// Override with TRANSLATABLE_ATTRIBUTES="alt,title,..." or per job.
+export const DEFAULT_TRANSLATABLE_ATTRIBUTES = ["alt", "title", "placeholder", "aria-label", "value"]
+
+// <meta> tags whose content ends up in search results and social previews
+const TRANSLATABLE_META = new Set([
+  "description",
+  "og:title",
+  "og:description",
+  "og:site_name",
+  "twitter:title",
+  "twitter:description",
+])
+
+// `value` is only visible text on button-like inputs
+const BUTTON_INPUT_TYPES = new Set(["button", "submit", "reset"])
+
+const ATTRIBUTE_PATTERN = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+
+export function getTranslatableAttributes(override) {
+  const list = override ?? process.env.TRANSLATABLE_ATTRIBUTES?.split(",") ?? DEFAULT_TRANSLATABLE_ATTRIBUTES
+  return new Set(list.map((name) => name.trim().toLowerCase()).filter(Boolean))
+}
+
+function parseAttributes(tag, tagStart) {
+  const nameMatch = tag.match(/^<([a-zA-Z][\w:-]*)/)
+  if (!nameMatch) return null
+
+  const attributes = []
+  const body = tag.slice(nameMatch[0].length)
+  const bodyOffset = tagStart + nameMatch[0].length
+
+  ATTRIBUTE_PATTERN.lastIndex = 0
+  let match
+  while ((match = ATTRIBUTE_PATTERN.exec(body)) !== null) {
+    const [fullMatch, name, doubleQuoted, singleQuoted, unquoted] = match
+    const value = doubleQuoted ?? singleQuoted ?? unquoted
+    if (value === undefined) {
+      attributes.push({ name: name.toLowerCase(), value: "" })
+      continue
+    }
+
+    const quote = doubleQuoted !== undefined ? '"' : singleQuoted !== undefined ? "'" : ""
+    const end = bodyOffset + match.index + fullMatch.length - quote.length
+    attributes.push({
+      name: name.toLowerCase(),
+      value,
+      quote,
+      start: end - value.length,
+      end,
+    })
+  }
+
+  return { tagName: nameMatch[1].toLowerCase(), attributes }
+}
+
+function extractAttributeSegments(tag, tagStart, translatableAttributes) {
+  const parsed = parseAttributes(tag, tagStart)
+  if (!parsed) return []
+
+  const { tagName, attributes } = parsed
+  const byName = new Map(attributes.map((attr) => [attr.name, attr]))
+  const selected = []
+
+  if (tagName === "meta") {
+    const key = (byName.get("name") || byName.get("property"))?.value.toLowerCase()
+    if (key && TRANSLATABLE_META.has(key) && byName.get("content")) {
+      selected.push(byName.get("content"))
+    }
+  }
+
+  for (const attr of attributes) {
+    if (!translatableAttributes.has(attr.name)) continue
+    if (attr.name === "value") {
+      const type = byName.get("type")?.value.toLowerCase()
+      if (tagName !== "input" || !BUTTON_INPUT_TYPES.has(type)) continue
+    }
+    selected.push(attr)
+  }
+
+  return selected
+    .filter((attr) => attr.start !== undefined && /\p{L}/u.test(attr.value))
+    .map((attr) => ({
+      start: attr.start,
+      end: attr.end,
+      text: attr.value,
+      attribute: attr.name,
+      quote: attr.quote,
+      isTranslatable: true,
+    }))
+}
+
+// Elements whose content is never translated
+const SKIPPED_ELEMENTS = new Set(["script", "style", "code", "pre", "svg", "math"])
+
+// Phrasing elements that stay inside a sentence; a run of text and these
+// becomes one segment with the tags replaced by {n}...{/n} tokens
+const INLINE_ELEMENTS = new Set([
+  "a", "abbr", "b", "bdi", "bdo", "cite", "data", "del", "dfn", "em", "font", "i", "ins", "label", "mark",
+  "q", "s", "small", "span", "strong", "sub", "sup", "time", "u",
+])
+
+// Inline elements carried through as a single opaque {n/} token
+const OPAQUE_INLINE_ELEMENTS = new Set(["br", "wbr", "img", "input", "code", "kbd", "samp", "var", "svg", "math"])
+
+const TAG_TOKEN_PATTERN = /\{\/?\d+\/?\}/g
+
+function childNodesOf(node) {
+  // <template> keeps its children in a separate document fragment
+  return node.content?.childNodes || node.childNodes || []
+}
+
+function isText(node) {
+  return node.nodeName === "#text"
+}
+
+function isElement(node) {
+  return Boolean(node.tagName)
+}
+
+function hasText(node) {
+  if (isText(node)) return node.value.trim().length > 0
+  if (!isElement(node) || OPAQUE_INLINE_ELEMENTS.has(node.tagName)) return false
+  return childNodesOf(node).some(hasText)
+}
+
+function isInlineTree(node) {
+  if (isText(node) || node.nodeName === "#comment") return true
+  if (!isElement(node)) return false
+  if (OPAQUE_INLINE_ELEMENTS.has(node.tagName)) return true
+  return INLINE_ELEMENTS.has(node.tagName) && childNodesOf(node).every(isInlineTree)
+}
+
+// Drops leading/trailing nodes that carry no text (whitespace, comments,
+// images) and unwraps a run that is a single inline element, so
+// `<p><a href>Join now</a></p>` is sent as plain "Join now"
+function trimRun(run) {
+  let nodes = run
+  while (true) {
+    let first = 0
+    let last = nodes.length - 1
+    while (first <= last && !hasText(nodes[first])) first++
+    while (last >= first && !hasText(nodes[last])) last--
+    nodes = nodes.slice(first, last + 1)
+
+    if (nodes.length === 1 && isElement(nodes[0]) && !OPAQUE_INLINE_ELEMENTS.has(nodes[0].tagName)) {
+      nodes = childNodesOf(nodes[0])
+      continue
+    }
+    return nodes
+  }
+}
+
+function hasLocation(node) {
+  const location = node.sourceCodeLocation
+  if (!location) return false
+  if (!isElement(node) || OPAQUE_INLINE_ELEMENTS.has(node.tagName)) return true
+  return Boolean(location.startTag) && childNodesOf(node).every(hasLocation)
+}
+
+function tokenize(nodes, html, tags) {
+  let text = ""
+  for (const node of nodes) {
+    const location = node.sourceCodeLocation
+    if (isText(node)) {
+      text += html.slice(location.startOffset, location.endOffset)
+      continue
+    }
+
+    const id = tags.filter((tag) => !tag.closing).length + 1
+    if (!isElement(node) || OPAQUE_INLINE_ELEMENTS.has(node.tagName)) {
+      const token = `{${id}/}`
+      tags.push({ token, start: location.startOffset, source: html.slice(location.startOffset, location.endOffset) })
+      text += token
+      continue
+    }
+
+    const { startTag, endTag } = location
+    tags.push({ token: `{${id}}`, start: startTag.startOffset, source: html.slice(startTag.startOffset, startTag.endOffset) })
+    text += `{${id}}` + tokenize(childNodesOf(node), html, tags)
+    tags.push({
+      token: `{/${id}}`,
+      closing: true,
+      start: endTag ? endTag.startOffset : location.endOffset,
+      source: endTag ? html.slice(endTag.startOffset, endTag.endOffset) : "",
+    })
+    text += `{/${id}}`
+  }
+  return text
+}
+
+function restoreTokens(text, tags) {
+  return tags.reduce((result, tag) => result.replace(tag.token, () => tag.source), text)
+}
+
+function createGroupSegment(nodes, html) {
+  if (!nodes.every(hasLocation)) return null
+
+  const start = nodes[0].sourceCodeLocation.startOffset
+  const end = nodes[nodes.length - 1].sourceCodeLocation.endOffset
+  const tags = []
+  const text = tokenize(nodes, html, tags)
+
+  // The tokens must round-trip to the exact source, otherwise the parser
+  // repaired something (stray end tags, foster parenting) and we fall back
+  const source = html.slice(start, end)
+  if (restoreTokens(text, tags) !== source) return null
+
+  if (tags.length === 0) return { start, end, text, isTranslatable: true }
+  return { start, end, text, source, tags, isTranslatable: true }
+}
+
+function textNodeSegments(nodes, html, collect) {
+  for (const node of nodes) {
+    if (isText(node)) {
+      const location = node.sourceCodeLocation
+      if (location && node.value.trim()) {
+        const text = html.slice(location.startOffset, location.endOffset)
+        if (!text.includes("<![CDATA[")) {
+          collect.segments.push({ start: location.startOffset, end: location.endOffset, text, isTranslatable: true })
+        }
+      }
+    } else if (isElement(node) && !SKIPPED_ELEMENTS.has(node.tagName)) {
+      textNodeSegments(childNodesOf(node), html, collect)
+    }
+  }
+}
+
+// Text-bearing SVG elements; parse5 keeps their camelCase names
+const SVG_TEXT_ELEMENTS = new Set(["text", "tspan", "textPath", "title", "desc"])
+
+// SVG text is translated node by node: glyph positioning on <tspan> makes
+// joining it into sentences unsafe
+function collectSvgText(node, html, collect) {
+  for (const child of childNodesOf(node)) {
+    if (isElement(child)) {
+      collectSvgText(child, html, collect)
+      continue
+    }
+
+    const location = child.sourceCodeLocation
+    if (!isText(child) || !location || !SVG_TEXT_ELEMENTS.has(node.tagName) || !/\p{L}/u.test(child.value)) continue
+
+    const text = html.slice(location.startOffset, location.endOffset)
+    if (!text.includes("<![CDATA[")) {
+      collect.segments.push({ start: location.startOffset, end: location.endOffset, text, isTranslatable: true })
+    }
+  }
+}
+
+function collectAttributes(node, html, collect) {
+  if (!isElement(node)) return
+
+  const startTag = node.sourceCodeLocation?.startTag
+  if (startTag) {
+    const tag = html.slice(startTag.startOffset, startTag.endOffset)
+    collect.segments.push(...extractAttributeSegments(tag, startTag.startOffset, collect.translatableAttributes))
+  }
+
+  if (node.tagName === "svg") {
+    collectSvgText(node, html, collect)
+  } else if (!OPAQUE_INLINE_ELEMENTS.has(node.tagName) && !SKIPPED_ELEMENTS.has(node.tagName)) {
+    for (const child of childNodesOf(node)) collectAttributes(child, html, collect)
+  }
+}
+
+function flushRun(run, html, collect) {
+  // Attribute segments inside a sentence stay top-level; reassembleHTML
+  // applies them to the restored tags
+  for (const node of run) collectAttributes(node, html, collect)
+
+  const nodes = trimRun(run)
+  if (nodes.length === 0) return
+
+  const group = createGroupSegment(nodes, html)
+  if (group) {
+    collect.segments.push(group)
+  } else {
+    textNodeSegments(nodes, html, collect)
+  }
+}
+
+function walk(node, html, collect) {
+  let run = []
+
+  for (const child of childNodesOf(node)) {
+    if (isInlineTree(child)) {
+      run.push(child)
+      continue
+    }
+
+    flushRun(run, html, collect)
+    run = []
+
+    if (!isElement(child)) continue
+
+    const startTag = child.sourceCodeLocation?.startTag
+    if (startTag) {
+      const tag = html.slice(startTag.startOffset, startTag.endOffset)
+      collect.segments.push(...extractAttributeSegments(tag, startTag.startOffset, collect.translatableAttributes))
+    }
+
+    if (!SKIPPED_ELEMENTS.has(child.tagName)) {
+      walk(child, html, collect)
+    }
+  }
+
+  flushRun(run, html, collect)
+}
+
+// Parses the page with parse5 and returns translatable segments in document
+// order: sentences (text plus inline markup as {n} tokens), standalone text
+// and attribute values. Each segment records the source range it replaces.
+export function extractTextSegments(html, options = {}) {
+  const collect = {
+    segments: [],
+    translatableAttributes: getTranslatableAttributes(options.attributes),
+  }
+
+  // With scripting disabled <noscript> content is parsed as markup, not text
+  const document = parse(html, { sourceCodeLocationInfo: true, scriptingEnabled: false })
+  walk(document, html, collect)
+
+  return collect.segments.sort((a, b) => a.start - b.start)
+}
+
+// Text segments of a standalone .svg file; the XML prolog and doctype parse
+// as comments and are left untouched
+export function extractSvgTextSegments(svg) {
+  const collect = { segments: [], translatableAttributes: new Set() }
+  const document = parse(svg, { sourceCodeLocationInfo: true })
+
+  const findSvg = (node) => {
+    for (const child of childNodesOf(node)) {
+      if (child.tagName === "svg") collectSvgText(child, svg, collect)
+      else if (isElement(child)) findSvg(child)
+    }
+  }
+  findSvg(document)
+  return collect.segments
+}
+
+// True when every {n} token of the segment appears exactly once in `text`
+export function inlineTagsIntact(segment, text) {
+  if (!segment.tags) return true
+
+  const found = text.match(TAG_TOKEN_PATTERN) || []
+  return found.length === segment.tags.length && segment.tags.every((tag) => found.includes(tag.token))
+}
+
+function tagKind(tag) {
+  return tag.source.match(/^<(\/?[a-zA-Z][\w:-]*|!--)/)?.[1].toLowerCase() ?? tag.source
+}
+
+// Re-numbers the tokens of a translated sentence so they refer to the source
+// sentence's tags. Tags are matched by name in order, since their translated
+// attributes may differ.
+function remapTokens(source, translated) {
+  if (!translated.tags) return translated.text
+
+  const available = [...source.tags]
+  let text = translated.text
+  const replacements = new Map()
+  for (const tag of translated.tags) {
+    const index = available.findIndex((candidate) => tagKind(candidate) === tagKind(tag))
+    if (index === -1) return null
+    replacements.set(tag.token, available[index].token)
+    available.splice(index, 1)
+  }
+
+  text = text.replace(TAG_TOKEN_PATTERN, (token) => replacements.get(token) ?? token)
+  return inlineTagsIntact(source, text) ? text : null
+}
+
+// Pairs the segments of a source page with those of its translation when
+// both have the same shape (same number of segments, attributes in the same
+// places). Returns source segments with `translatedText` set (undefined where
+// a sentence's markup can't be matched up), or null.
+export function alignSegments(sourceHTML, translatedHTML, options = {}) {
+  const source = extractTextSegments(sourceHTML, options)
+  const translated = extractTextSegments(translatedHTML, options)
+
+  if (source.length !== translated.length) return null
+  if (source.some((segment, i) => segment.attribute !== translated[i].attribute)) return null
+  if (source.some((segment, i) => Boolean(segment.tags) !== Boolean(translated[i].tags))) return null
+
+  return source.map((segment, i) => ({
+    ...segment,
+    translatedText: segment.tags ? (remapTokens(segment, translated[i]) ?? undefined) : translated[i].text,
+  }))
+}
+
+function escapeAttributeValue(text, quote) {
+  const escaped = text.replace(/&(?![a-z]+;|#\d+;|#x[\da-f]+;)/gi, "&amp;").replace(/</g, "&lt;")
+  if (quote === "'") return escaped.replace(/'/g, "&#39;")
+  return escaped.replace(/"/g, "&quot;")
+}
+
+// Replaces segments inside `source`, which starts at `offset` in the page
+function applySegments(source, offset, segments) {
+  // Sort segments by position in reverse order so we can replace from end to start
+  // This prevents position shifts from affecting subsequent replacements
+  const sortedSegments = [...segments].sort((a, b) => b.start - a.start)
+
+  let result = source
+  for (const segment of sortedSegments) {
+    if (segment.translatedText || segment.nested?.length) {
+      const start = segment.start - offset
+      const end = segment.end - offset
+      result = result.slice(0, start) + formatTranslatedSegment(segment) + result.slice(end)
+    }
+  }
+  return result
+}
+
+function formatTranslatedSegment(segment) {
+  if (segment.tags) {
+    const nested = segment.nested || []
+    const withinTag = (tag) =>
+      nested.filter((inner) => inner.start >= tag.start && inner.end <= tag.start + tag.source.length)
+
+    // A sentence whose tokens didn't survive keeps its original wording
+    if (!segment.translatedText || !inlineTagsIntact(segment, segment.translatedText)) {
+      return applySegments(segment.source, segment.start, nested)
+    }
+
+    const tags = segment.tags.map((tag) => ({ ...tag, source: applySegments(tag.source, tag.start, withinTag(tag)) }))
+    return restoreTokens(segment.translatedText, tags)
+  }
+
+  if (!segment.attribute) return segment.translatedText
+
+  const value = escapeAttributeValue(segment.translatedText, segment.quote)
+  // Unquoted values may gain spaces once translated, so always quote them
+  return segment.quote ? value : `"${value}"`
+}
+
+export function reassembleHTML(originalHTML, translatedSegments) {
+  // Attribute values inside a sentence's tags are applied when that
+  // sentence's tokens are restored, not at the top level
+  const nestedSegments = new Set()
+  const withNested = translatedSegments.map((segment) => {
+    if (!segment.tags) return segment
+
+    const nested = translatedSegments.filter(
+      (inner) => inner !== segment && inner.start >= segment.start && inner.end <= segment.end,
+    )
+    nested.forEach((inner) => nestedSegments.add(inner))
+    return { ...segment, nested }
+  })
+
+  return applySegments(
+    originalHTML,
+    0,
+    withNested.filter((segment) => !nestedSegments.has(segment)),
+  )
+}
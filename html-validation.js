@@ -0,0 +1,191 @@
+import { parse } from "parse5"
+import { alignSegments, extractTextSegments } from "./html-segments.js"
+
+// Compares a translated page against its source. Only text and the
+// allowlisted attributes may change; the element skeleton (tags, classes,
+// hrefs, scripts...) must be identical, and numbers, URLs and placeholders
+// in each segment must survive. Report shape:
+//
+//   { ok, issues: [{ severity: "error"|"warning", type, message }], issueCount, segments, untranslated }
+
+const MAX_ISSUES = 20
+// Share of prose segments that may come back unchanged before the page
+// counts as untranslated
+const MAX_UNTRANSLATED_RATIO = 0.5
+// Elements whose content is copied verbatim and must match exactly
+const VERBATIM_ELEMENTS = new Set(["script", "style", "code", "pre"])
+// Set by the worker itself after translation
+const IGNORED_ATTRIBUTES = new Set(["lang", "dir"])
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s"'<>)]+|[\w.+-]+@[\w-]+\.[\w.]+/gi
+const PLACEHOLDER_PATTERN = /\{\{\s*[\w.]+\s*\}\}|\{[a-z_][\w.]*\}|\$\{\w+\}|%(?:\d+\$)?[sdif]/gi
+
+export class TranslationValidationError extends Error {
+  constructor(report) {
+    const errors = report.issues.filter((issue) => issue.severity === "error")
+    super(`Translation failed validation: ${errors.slice(0, 3).map((issue) => issue.message).join("; ")}`)
+    this.name = "TranslationValidationError"
+    this.report = report
+  }
+}
+
+function describe(element) {
+  const attributes = element.attributes.map(([name, value]) => ` ${name}="${value}"`).join("")
+  return `<${element.tagName}${attributes}>`
+}
+
+// One entry per element in document order, leaving out attribute values
+// that are allowed to change
+function skeleton(html, translatableRanges) {
+  const elements = []
+  const isTranslatable = (location) =>
+    location && translatableRanges.some((start) => start >= location.startOffset && start < location.endOffset)
+
+  const walk = (node) => {
+    for (const child of node.content?.childNodes || node.childNodes || []) {
+      if (!child.tagName) continue
+
+      const locations = child.sourceCodeLocation?.attrs || {}
+      const attributes = child.attrs
+        .filter((attr) => !IGNORED_ATTRIBUTES.has(attr.name) && !isTranslatable(locations[attr.name]))
+        .map((attr) => [attr.name, attr.name === "class" ? attr.value.trim().split(/\s+/).join(" ") : attr.value])
+        .sort(([a], [b]) => a.localeCompare(b))
+
+      const element = { tagName: child.tagName, attributes }
+      if (VERBATIM_ELEMENTS.has(child.tagName)) {
+        const { startTag, endTag } = child.sourceCodeLocation || {}
+        element.content = startTag && endTag ? html.slice(startTag.endOffset, endTag.startOffset) : ""
+      }
+      elements.push(element)
+      walk(child)
+    }
+  }
+
+  walk(parse(html, { sourceCodeLocationInfo: true, scriptingEnabled: false }))
+  return elements
+}
+
+function sameElement(a, b) {
+  return a.tagName === b.tagName && a.content === b.content && JSON.stringify(a.attributes) === JSON.stringify(b.attributes)
+}
+
+function compareSkeletons(source, translated, issues) {
+  const index = source.findIndex((element, i) => !translated[i] || !sameElement(element, translated[i]))
+  if (index === -1) {
+    if (translated.length > source.length) {
+      issues.push({
+        severity: "error",
+        type: "structure",
+        message: `Translation adds ${translated.length - source.length} elements, starting with ${describe(translated[source.length])}`,
+      })
+    }
+    return
+  }
+
+  if (!translated[index]) {
+    issues.push({
+      severity: "error",
+      type: "structure",
+      message: `Translation is missing ${source.length - translated.length} elements, starting with ${describe(source[index])}`,
+    })
+    return
+  }
+
+  const expected = source[index]
+  const found = translated[index]
+  const what = expected.content !== found.content ? ` (content of <${expected.tagName}> changed)` : ""
+  issues.push({
+    severity: "error",
+    type: "structure",
+    message: `Element ${index + 1} should be ${describe(expected)} but is ${describe(found)}${what}`,
+  })
+}
+
+function digits(text) {
+  // Thousands separators differ between locales (1,000 vs 1.000 vs 1 000)
+  const normalized = text.replace(/(?<=\d)[.,\s'’](?=\d{3}\b)/g, "")
+  return (normalized.match(/\d+/g) || []).sort()
+}
+
+function missingFrom(source, translation, pattern) {
+  const found = new Set(translation.match(pattern) || [])
+  return [...new Set(source.match(pattern) || [])].filter((item) => !found.has(item))
+}
+
+function quote(text) {
+  const flat = text.replace(/\s+/g, " ").trim()
+  return `"${flat.length > 60 ? `${flat.slice(0, 57)}...` : flat}"`
+}
+
+function checkSegments(aligned, issues) {
+  let prose = 0
+  let untranslated = 0
+
+  for (const segment of aligned) {
+    const { text, translatedText } = segment
+    if (translatedText === undefined) continue
+
+    if (digits(text).join(" ") !== digits(translatedText).join(" ")) {
+      issues.push({ severity: "error", type: "numbers", message: `Numbers changed in ${quote(text)}` })
+    }
+
+    const lostUrls = missingFrom(text, translatedText, URL_PATTERN)
+    if (lostUrls.length > 0) {
+      issues.push({ severity: "error", type: "urls", message: `${lostUrls[0]} is missing from ${quote(translatedText)}` })
+    }
+
+    const lostPlaceholders = missingFrom(text, translatedText, PLACEHOLDER_PATTERN)
+    if (lostPlaceholders.length > 0) {
+      issues.push({
+        severity: "error",
+        type: "placeholders",
+        message: `${lostPlaceholders[0]} is missing from ${quote(translatedText)}`,
+      })
+    }
+
+    if (/\p{L}{3,}/u.test(text)) {
+      prose++
+      if (text.replace(/\s+/g, " ").trim() === translatedText.replace(/\s+/g, " ").trim()) {
+        untranslated++
+        issues.push({ severity: "warning", type: "untranslated", message: `Left untranslated: ${quote(text)}` })
+      }
+    }
+  }
+
+  if (prose > 0 && untranslated / prose > MAX_UNTRANSLATED_RATIO) {
+    issues.push({
+      severity: "error",
+      type: "untranslated",
+      message: `${untranslated} of ${prose} text segments were left untranslated`,
+    })
+  }
+  return { segments: aligned.length, untranslated }
+}
+
+export function validateTranslation(sourceHTML, translatedHTML, options = {}) {
+  const issues = []
+
+  const ranges = (html) => extractTextSegments(html, options).filter((seg) => seg.attribute).map((seg) => seg.start)
+  compareSkeletons(skeleton(sourceHTML, ranges(sourceHTML)), skeleton(translatedHTML, ranges(translatedHTML)), issues)
+
+  let counts = { segments: 0, untranslated: 0 }
+  const aligned = alignSegments(sourceHTML, translatedHTML, options)
+  if (aligned) {
+    counts = checkSegments(aligned, issues)
+  } else {
+    issues.push({
+      severity: "warning",
+      type: "segments",
+      message: "Text segments of the translation don't line up with the source",
+    })
+  }
+
+  // Errors first so the cap never hides them behind warnings
+  issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === "error" ? -1 : 1))
+  return {
+    ok: !issues.some((issue) => issue.severity === "error"),
+    issues: issues.slice(0, MAX_ISSUES),
+    issueCount: issues.length,
+    ...counts,
+  }
+}
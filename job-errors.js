@@ -0,0 +1,77 @@
+// Thrown for failures that will not go away by retrying the same job
+// (bad payload, missing template, blocked content). The reason is stored on
+// the queue row when the job is dead-lettered.
+export class PermanentJobError extends Error {
+  constructor(message, reason = "permanent_error") {
+    super(message)
+    this.name = "PermanentJobError"
+    this.reason = reason
+  }
+}
+
+// Thrown instead of making a model call that could take the job past its
+// budget; retrying would only hit the same limit
+export class BudgetExceededError extends PermanentJobError {
+  constructor(message) {
+    super(message, "budget_exceeded")
+    this.name = "BudgetExceededError"
+  }
+}
+
+// Thrown for missing or invalid worker configuration (API keys, backends,
+// JSON settings). The job is not at fault: the queue hands it back for a
+// worker that is set up properly and this one stops claiming.
+export class ConfigurationError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "ConfigurationError"
+    this.reason = "misconfigured"
+  }
+}
+
+// Used as the abort reason when a job is cancelled or its lease is lost
+export class JobCancelledError extends Error {
+  constructor(message = "Job was cancelled") {
+    super(message)
+    this.name = "JobCancelledError"
+  }
+}
+
+// Used as the abort reason when the worker shuts down before a job finishes;
+// the job goes back to the queue for the next worker
+export class JobInterruptedError extends Error {
+  constructor(message = "Worker is shutting down") {
+    super(message)
+    this.name = "JobInterruptedError"
+  }
+}
+
+const BLOCKED_CONTENT_PATTERN = /blocked due to|\bSAFETY\b|PROHIBITED_CONTENT|\bBLOCKLIST\b/
+
+export function classifyError(error) {
+  if (error instanceof JobCancelledError) {
+    return { retryable: false, reason: "cancelled" }
+  }
+
+  if (error instanceof PermanentJobError) {
+    return { retryable: false, reason: error.reason }
+  }
+
+  if (error instanceof ConfigurationError) {
+    return { retryable: true, reason: error.reason }
+  }
+
+  if (BLOCKED_CONTENT_PATTERN.test(error?.message || "")) {
+    return { retryable: false, reason: "content_blocked" }
+  }
+
+  if (error?.status === 429) {
+    return { retryable: true, reason: "rate_limited" }
+  }
+
+  if (error?.status >= 500) {
+    return { retryable: true, reason: "upstream_error" }
+  }
+
+  return { retryable: true, reason: "transient_error" }
+}
@@ -0,0 +1,204 @@
+import { isReadableUrl } from "./storage.js"
+import { resolveStyleProfile, styleProfileError } from "./style-profiles.js"
+
+// Schema for POST /translate and POST /import. Each field has a check that
+// returns null, an error message, or at(path, message) for a problem inside
+// the value. Only the fields listed here are accepted, so unknown keys never
+// reach the queue.
+
+const LANGUAGE_TAG = /^[a-z]{2,3}(?:-[a-z\d]{2,8})*$/i
+const MAX_ID_LENGTH = 200
+
+function at(path, message) {
+  return { path, message }
+}
+
+function isString(value) {
+  return typeof value === "string" && value.trim().length > 0
+}
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol)
+  } catch {
+    return false
+  }
+}
+
+const id = (value) => {
+  if (!isString(value)) return "must be a non-empty string"
+  return value.length > MAX_ID_LENGTH ? `must be at most ${MAX_ID_LENGTH} characters` : null
+}
+
+const budget = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0 ? null : "must be a non-negative number of US dollars"
+
+const optionalString = (value) => (typeof value === "string" ? null : "must be a string")
+
+const url = (value) => (isString(value) && isHttpUrl(value) ? null : "must be an http(s) URL")
+
+// Packages the worker downloads can also live in the storage backend (s3://)
+const packageUrl = (value) =>
+  isString(value) && isReadableUrl(value) ? null : "must be an http(s) URL or one the storage backend reads"
+
+const languageTag = (value) =>
+  isString(value) && LANGUAGE_TAG.test(value) ? null : "must be a language code like es or pt-BR"
+
+const stringList = (value) => {
+  if (!Array.isArray(value)) return "must be an array of strings"
+  const index = value.findIndex((item) => typeof item !== "string")
+  return index === -1 ? null : at(`[${index}]`, "must be a string")
+}
+
+const FIELDS = {
+  jobId: { required: true, check: id },
+  projectId: { required: true, check: id },
+  userId: { check: id },
+  templateZipUrl: { required: true, check: packageUrl },
+  // Optional: without it the worker translates every page in the template
+  processedHtmlFiles: {
+    check(value) {
+      if (!Array.isArray(value) || value.length === 0) return "must be a non-empty array of { filename, html }"
+      for (const [i, file] of value.entries()) {
+        if (!file || !isString(file.filename)) return at(`[${i}].filename`, "must be a non-empty string")
+        if (file.filename.startsWith("/") || file.filename.split("/").includes("..")) {
+          return at(`[${i}].filename`, "must be a relative path inside the template")
+        }
+        if (typeof file.html !== "string") return at(`[${i}].html`, "must be a string")
+      }
+      return null
+    },
+  },
+  language: { check: languageTag },
+  languages: {
+    check(value) {
+      if (!Array.isArray(value) || value.length === 0) return "must be a non-empty array of language codes"
+      const index = value.findIndex((item) => languageTag(item) !== null)
+      return index === -1 ? null : at(`[${index}]`, "must be a language code like es or pt-BR")
+    },
+  },
+  siteUrl: { check: url },
+  projectName: { required: true, check: (value) => (isString(value) ? null : "must be a non-empty string") },
+  translatableAttributes: { check: stringList },
+  translationMemory: { check: (value) => (typeof value === "boolean" ? null : "must be a boolean") },
+  glossary: {
+    check(value) {
+      if (Array.isArray(value)) {
+        const index = value.findIndex((entry) => typeof entry?.source !== "string" || typeof entry?.target !== "string")
+        return index === -1 ? null : at(`[${index}]`, "must be { source, target } strings")
+      }
+      if (value && typeof value === "object") {
+        const key = Object.keys(value).find((source) => typeof value[source] !== "string")
+        return key === undefined ? null : at(`.${key}`, "must be a string")
+      }
+      return "must be an array of { source, target } or an object of source -> target"
+    },
+  },
+  doNotTranslate: { check: stringList },
+  provider: { check: optionalString },
+  model: { check: optionalString },
+  rtlClass: {
+    check: (value) => (typeof value === "string" && /^[\w-]+$/.test(value) ? null : "must be a single CSS class name"),
+  },
+  // Linked from every RTL page: a path inside the package or an http(s) URL
+  rtlStylesheet: {
+    check(value) {
+      const absolute = isString(value) && (/^[a-z][a-z\d+.-]*:/i.test(value) || value.startsWith("//"))
+      const valid = absolute
+        ? isHttpUrl(value)
+        : isString(value) && !value.startsWith("/") && !value.split("/").includes("..")
+      return valid && !/["'<>\s\\]/.test(value) ? null : "must be a relative path inside the package or an http(s) URL"
+    },
+  },
+  jsonPaths: {
+    check(value) {
+      if (!value || typeof value !== "object" || Array.isArray(value)) return "must be an object of filename -> paths"
+      const filename = Object.keys(value).find((name) => stringList(value[name]) !== null)
+      return filename === undefined ? null : at(`.${filename}`, "must be an array of dotted paths")
+    },
+  },
+  // A style profile name, or { extends?, vertical?, formality?, tone?, variants?, instructions? }
+  styleProfile: {
+    check(value) {
+      if (typeof value !== "string" && (!value || typeof value !== "object" || Array.isArray(value))) {
+        return "must be a style profile name or object"
+      }
+      return styleProfileError(value)
+    },
+  },
+  // Estimated model spend limits; JOB_BUDGET_USD and USER_MONTHLY_BUDGET_USD apply when unset
+  maxCostUsd: { check: budget },
+  userMonthlyBudgetUsd: { check: budget },
+  // An earlier package of the same template, and the template it was built from
+  previousTranslation: {
+    check(value) {
+      if (!value || typeof value !== "object" || Array.isArray(value)) return "must be { zipUrl, templateZipUrl }"
+      if (packageUrl(value.zipUrl)) return at(".zipUrl", packageUrl(value.zipUrl))
+      if (packageUrl(value.templateZipUrl)) return at(".templateZipUrl", packageUrl(value.templateZipUrl))
+      return null
+    },
+  },
+}
+
+// An import also carries the reviewed XLIFF, as the edited review package
+// (or a single .xlf) or inline documents
+const IMPORT_FIELDS = {
+  review: {
+    required: true,
+    check(value) {
+      if (!value || typeof value !== "object" || Array.isArray(value)) return "must be { zipUrl } or { xliff }"
+      if (value.zipUrl === undefined && value.xliff === undefined) return "must have zipUrl or xliff"
+      if (value.zipUrl !== undefined && packageUrl(value.zipUrl)) return at(".zipUrl", packageUrl(value.zipUrl))
+      if (value.xliff !== undefined) {
+        const documents = [value.xliff].flat()
+        const index = documents.findIndex((document) => !isString(document))
+        if (index !== -1) return at(".xliff", "must be an XLIFF document or an array of them")
+      }
+      return null
+    },
+  },
+}
+
+// Returns { job } with only the known fields, or { errors } keyed by field
+export function parseTranslationRequest(body) {
+  return parseRequest(body, FIELDS)
+}
+
+export function parseImportRequest(body) {
+  return parseRequest(body, { ...FIELDS, ...IMPORT_FIELDS })
+}
+
+function parseRequest(body, fields) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { errors: { body: "must be a JSON object" } }
+  }
+
+  const job = {}
+  const errors = {}
+  for (const [field, { required, check }] of Object.entries(fields)) {
+    const value = body[field]
+    if (value === undefined || value === null) {
+      if (required) errors[field] = "is required"
+      continue
+    }
+
+    const error = check(value)
+    if (typeof error === "string") {
+      errors[field] = error
+    } else if (error) {
+      errors[field + error.path] = error.message
+    } else {
+      job[field] = value
+    }
+  }
+
+  if (body.language == null && body.languages == null) {
+    errors.language = "is required unless languages is given"
+  }
+
+  if (Object.keys(errors).length > 0) return { errors }
+
+  // Resolved now so the job records the style it was queued with
+  job.style = resolveStyleProfile(job.styleProfile)
+  return { job }
+}
@@ -0,0 +1,364 @@
+import { randomUUID } from "node:crypto"
+import os from "node:os"
+import { ConfigurationError, JobCancelledError, JobInterruptedError, classifyError } from "./job-errors.js"
+import { getJobStore } from "./job-store.js"
+import { log, withLogContext } from "./logger.js"
+import { activeJobs as activeJobsGauge, queueJobs } from "./metrics.js"
+import { processTranslationJob } from "./translator.js"
+import { createUsageTracker } from "./usage.js"
+
+const LEASE_MS = Number(process.env.JOB_LEASE_MS) || 60000
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 5000
+const MAX_CONCURRENT_JOBS = Number(process.env.MAX_CONCURRENT_JOBS) || 2
+const MAX_JOB_ATTEMPTS = Number(process.env.MAX_JOB_ATTEMPTS) || 5
+const MAX_JOB_AGE_MS = Number(process.env.MAX_JOB_AGE_MS) || 6 * 60 * 60 * 1000
+const MAX_RETRY_DELAY_MS = 300000
+// How long a shutdown waits for running jobs before re-queuing them
+const SHUTDOWN_GRACE_MS = Number(process.env.SHUTDOWN_GRACE_MS) || 30000
+const SHUTDOWN_RELEASE_MS = 10000
+// Defaults for jobs that don't set maxCostUsd / userMonthlyBudgetUsd
+const JOB_BUDGET_USD = Number(process.env.JOB_BUDGET_USD) || null
+const USER_MONTHLY_BUDGET_USD = Number(process.env.USER_MONTHLY_BUDGET_USD) || null
+
+export const workerId = `${os.hostname()}-${process.pid}-${randomUUID().slice(0, 8)}`
+
+const store = getJobStore()
+// Jobs running in this process: id -> { controller, startedAt, progress, usage }
+const activeJobs = new Map()
+
+let pollTimer = null
+let polling = false
+let pollRequested = false
+// Set once shutdown starts; no more jobs are claimed
+let draining = false
+// Set when a job fails on this worker's own configuration; no more jobs are
+// claimed, so one bad instance doesn't dead-letter the whole queue
+let misconfiguration = null
+
+// Resolves to { job, created }; a jobId that was already queued is left
+// untouched and reported with created: false
+export async function enqueueJob(data) {
+  const { job, created } = await store.enqueue({ id: data.jobId, payload: data })
+  if (!created) {
+    log.info(`Job ${job.id} was already received (${job.status}), not queuing it again`, { jobId: job.id })
+    return { job, created }
+  }
+
+  log.info(`Queued job ${job.id} (${store.name} store)`, { jobId: job.id, projectId: data.projectId })
+  schedulePoll(0)
+  return { job, created }
+}
+
+export async function startJobWorker() {
+  const recovered = await store.recover(workerId)
+  if (recovered > 0) {
+    log.info(`Re-queued ${recovered} interrupted job(s)`)
+  }
+
+  log.info(`Job worker ${workerId} started (${store.name} store, ${MAX_CONCURRENT_JOBS} concurrent)`)
+  schedulePoll(0)
+}
+
+export async function getJobStatus(id) {
+  const job = await store.get(id)
+  if (!job) return null
+
+  const { payload, ...summary } = job
+  const active = activeJobs.get(id)
+  return {
+    ...summary,
+    projectId: payload?.projectId,
+    language: payload?.languages || payload?.language,
+    style: payload?.style,
+    active: Boolean(active),
+    startedAt: active?.startedAt,
+    ...active?.progress,
+    ...(active?.usage && { usage: active.usage.summary() }),
+  }
+}
+
+export async function listJobs({ limit } = {}) {
+  const recent = await store.list({ limit })
+  const active = [...activeJobs.entries()].map(([id, { startedAt, progress }]) => ({ id, startedAt, ...progress }))
+  return { active, recent }
+}
+
+// Refreshes the queue gauges; called when /metrics is scraped
+export async function collectQueueMetrics() {
+  activeJobsGauge.set(activeJobs.size)
+  const counts = await store.countByStatus(["queued", "processing"])
+  for (const [status, count] of Object.entries(counts)) {
+    queueJobs.set({ status }, count)
+  }
+}
+
+// Marks the job cancelled in the store first, so the running attempt can no
+// longer record a result, then aborts it at its next chunk boundary. Workers
+// in other instances notice through their lease renewal failing.
+export async function cancelJob(id) {
+  const job = await store.cancel(id)
+  if (!job) return null
+
+  activeJobs.get(id)?.controller.abort(new JobCancelledError())
+  log.info(`Cancelled job ${id}`, { jobId: id })
+  return job
+}
+
+// Ready for more work: not shutting down, correctly configured and below the
+// concurrency limit
+export function isAcceptingJobs() {
+  return !draining && !misconfiguration && activeJobs.size < MAX_CONCURRENT_JOBS
+}
+
+export function workerState() {
+  return { draining, misconfiguration, activeJobs: activeJobs.size, maxConcurrentJobs: MAX_CONCURRENT_JOBS }
+}
+
+// Stops claiming jobs and waits up to `graceMs` for the running ones to
+// finish. Jobs still running then are aborted at their next chunk boundary,
+// so model calls in flight complete (and their chunks reach the translation
+// memory), and go back to the queue with the usage they have recorded.
+// Resolves to the number of jobs re-queued.
+export async function drainJobs(graceMs = SHUTDOWN_GRACE_MS) {
+  draining = true
+  clearTimeout(pollTimer)
+  log.info(`Draining ${activeJobs.size} running job(s), waiting up to ${graceMs / 1000} seconds`)
+
+  const deadline = Date.now() + graceMs
+  while ((polling || activeJobs.size > 0) && Date.now() < deadline) {
+    await sleep(250)
+  }
+
+  const interrupted = activeJobs.size
+  for (const { controller } of activeJobs.values()) {
+    controller.abort(new JobInterruptedError())
+  }
+  // Give the aborted attempts a moment to write their jobs back; any still
+  // waiting on a model call are recovered once their lease expires
+  while (activeJobs.size > 0 && Date.now() < deadline + SHUTDOWN_RELEASE_MS) {
+    await sleep(250)
+  }
+  return interrupted
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+function schedulePoll(delay) {
+  clearTimeout(pollTimer)
+  pollTimer = setTimeout(pollForJobs, delay)
+}
+
+async function pollForJobs() {
+  if (polling) {
+    pollRequested = true
+    return
+  }
+
+  polling = true
+  try {
+    while (!draining && !misconfiguration && activeJobs.size < MAX_CONCURRENT_JOBS) {
+      const job = await store.claim(workerId, LEASE_MS)
+      if (!job) break
+      withLogContext({ jobId: job.id, projectId: job.payload?.projectId }, () => runJob(job))
+    }
+  } catch (error) {
+    log.error("Failed to claim jobs", { error: error.message })
+  } finally {
+    polling = false
+  }
+
+  if (draining || misconfiguration) return
+  schedulePoll(pollRequested ? 0 : POLL_INTERVAL_MS)
+  pollRequested = false
+}
+
+async function runJob(job) {
+  const controller = new AbortController()
+  const active = {
+    controller,
+    startedAt: new Date().toISOString(),
+    progress: { stage: "starting", progress: 0 },
+  }
+  activeJobs.set(job.id, active)
+  log.info(`Claimed job ${job.id}`)
+
+  // Keep the lease alive while the job runs; if this process dies the lease
+  // expires and another worker (or the next deploy) picks the job up
+  const heartbeat = setInterval(() => {
+    store
+      .renewLease(job.id, workerId, LEASE_MS)
+      .then((renewed) => {
+        if (!renewed && !controller.signal.aborted) {
+          log.error(`Lost lease on job ${job.id}, aborting`)
+          controller.abort(new JobCancelledError("Job lease was lost"))
+        }
+      })
+      .catch((error) => log.error(`Failed to renew lease on job ${job.id}`, { error: error.message }))
+  }, LEASE_MS / 3)
+
+  try {
+    await runAttempt(job, active)
+  } catch (error) {
+    log.error(`Failed to finalize job ${job.id}`, { error: error.message })
+  } finally {
+    clearInterval(heartbeat)
+    activeJobs.delete(job.id)
+    schedulePoll(0)
+  }
+}
+
+// The job's own cap or what is left of its user's budget for the calendar
+// month (UTC), whichever is lower. Resolves to { budgetUsd, budgetName }.
+async function budgetFor(job) {
+  const { userId, maxCostUsd, userMonthlyBudgetUsd } = job.payload || {}
+  const jobBudget = { budgetUsd: maxCostUsd ?? JOB_BUDGET_USD, budgetName: "Job budget" }
+  const userBudget = userMonthlyBudgetUsd ?? USER_MONTHLY_BUDGET_USD
+  if (userBudget === null || !userId) return jobBudget
+
+  const now = new Date()
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString()
+  const spent = await store.userCostSince(userId, monthStart, job.id)
+  const remaining = Math.max(0, userBudget - spent)
+  if (jobBudget.budgetUsd !== null && jobBudget.budgetUsd <= remaining) return jobBudget
+  return { budgetUsd: remaining, budgetName: `Monthly budget for user ${userId}` }
+}
+
+async function runAttempt(job, active) {
+  const { controller, progress } = active
+  const age = Date.now() - new Date(job.createdAt).getTime()
+  if (job.attempts > MAX_JOB_ATTEMPTS || age > MAX_JOB_AGE_MS) {
+    // Only reachable when earlier attempts crashed the worker before recording a result
+    const reason = job.attempts > MAX_JOB_ATTEMPTS ? "max_attempts_exceeded" : "max_age_exceeded"
+    await markDead(job, job.lastError || "Job was interrupted too many times", reason)
+    return
+  }
+
+  log.info(`Translation attempt ${job.attempts}/${MAX_JOB_ATTEMPTS} for job ${job.id}`, { attempt: job.attempts })
+
+  let result
+  try {
+    // Earlier attempts of this job count against the same budget
+    active.usage = createUsageTracker({ ...(await budgetFor(job)), previous: job.usage })
+    result = await processTranslationJob(job.payload, {
+      signal: controller.signal,
+      onProgress: (update) => Object.assign(progress, update),
+      usage: active.usage,
+      workerId,
+    })
+  } catch (error) {
+    if (controller.signal.reason instanceof JobInterruptedError) {
+      await requeueInterrupted(job, active.usage?.summary())
+      return
+    }
+    if (controller.signal.aborted || error instanceof JobCancelledError) {
+      // The store row was already moved to cancelled (or handed to another
+      // worker); the tokens spent so far still count against the budgets
+      log.info(`Job ${job.id} stopped: ${(controller.signal.reason || error).message}`)
+      await recordStoppedUsage(job, active.usage?.summary())
+      return
+    }
+    if (error instanceof ConfigurationError) {
+      await requeueMisconfigured(job, error, active.usage?.summary())
+      return
+    }
+    await handleFailedAttempt(job, error, active.usage?.summary())
+    return
+  }
+
+  const released = await store.release(job.id, workerId, {
+    status: "completed",
+    lastError: null,
+    failureReason: null,
+    zipUrl: result.zipUrl,
+    reviewZipUrl: result.reviewZipUrl,
+    validation: result.validation,
+    translationMemory: result.translationMemory,
+    incremental: result.incremental ?? null,
+    usage: result.usage,
+  })
+  if (!released) {
+    log.warn(`Job ${job.id} was cancelled or handed to another worker as it finished, its result was not recorded`)
+    await recordStoppedUsage(job, result.usage)
+    return
+  }
+  log.info(`Translation completed successfully for job ${job.id}`)
+}
+
+async function recordStoppedUsage(job, usage) {
+  if (!usage) return
+  try {
+    const recorded = await store.recordUsage(job.id, usage)
+    if (!recorded) log.warn(`Job ${job.id} was picked up again, usage of the stopped attempt was not recorded`)
+  } catch (error) {
+    log.error(`Failed to record usage of stopped job ${job.id}`, { error: error.message })
+  }
+}
+
+// The interrupted attempt doesn't count towards MAX_JOB_ATTEMPTS
+async function requeueInterrupted(job, usage) {
+  log.info(`Job ${job.id} interrupted by shutdown, returning it to the queue`)
+  await store.release(job.id, workerId, {
+    status: "queued",
+    attempts: job.attempts - 1,
+    availableAt: new Date().toISOString(),
+    ...(usage && { usage }),
+  })
+}
+
+// Like an interrupted attempt, this one doesn't count towards MAX_JOB_ATTEMPTS
+async function requeueMisconfigured(job, error, usage) {
+  misconfiguration = error.message
+  log.error(`Worker is misconfigured, returning job ${job.id} to the queue and no longer claiming jobs: ${error.message}`)
+  await store.release(job.id, workerId, {
+    status: "queued",
+    attempts: job.attempts - 1,
+    availableAt: new Date().toISOString(),
+    lastError: error.message,
+    failureReason: error.reason,
+    ...(usage && { usage }),
+  })
+}
+
+async function handleFailedAttempt(job, error, usage) {
+  const { retryable, reason } = classifyError(error)
+  log.error(`Translation attempt ${job.attempts} failed (${reason})`, { reason, error: error.message })
+
+  if (!retryable) {
+    await markDead(job, error.message, reason, usage)
+    return
+  }
+
+  const delay = Math.min(Math.pow(2, job.attempts) * 1000, MAX_RETRY_DELAY_MS)
+  const age = Date.now() - new Date(job.createdAt).getTime()
+
+  if (job.attempts >= MAX_JOB_ATTEMPTS) {
+    await markDead(job, error.message, "max_attempts_exceeded", usage)
+    return
+  }
+
+  if (age + delay > MAX_JOB_AGE_MS) {
+    await markDead(job, error.message, "max_age_exceeded", usage)
+    return
+  }
+
+  log.info(`Retrying job ${job.id} in ${delay / 1000} seconds...`)
+  await store.release(job.id, workerId, {
+    status: "queued",
+    availableAt: new Date(Date.now() + delay).toISOString(),
+    lastError: error.message,
+    failureReason: reason,
+    ...(usage && { usage }),
+  })
+}
+
+async function markDead(job, message, reason, usage) {
+  log.error(`Job ${job.id} is dead after ${job.attempts} attempt(s): ${reason}`, { reason })
+  await store.release(job.id, workerId, {
+    status: "dead",
+    lastError: message,
+    failureReason: reason,
+    ...(usage && { usage }),
+  })
+}
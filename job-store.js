@@ -0,0 +1,514 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises"
+import path from "node:path"
+import { getSupabase } from "./supabase.js"
+
+// Jobs are persisted before /translate acknowledges them and are claimed by a
+// worker with a time-limited lease. A job whose lease runs out (the worker
+// crashed or was redeployed) becomes claimable again.
+//
+// Record shape:
+//   { id, status, payload, attempts, availableAt, leaseOwner, leaseExpiresAt, lastError, failureReason, zipUrl,
+//     reviewZipUrl, validation, translationMemory, incremental, usage, createdAt }
+//
+// `zipUrl`, `reviewZipUrl` (the bilingual review files), `validation` (the
+// per-file report), `translationMemory` (the job's memory { hits, misses }) and
+// `incremental` ({ reusedSegments, totalSegments } from a previous package)
+// are set when a job completes.
+// `usage` (tokens and estimated cost, see usage.js) is updated after every
+// attempt, successful or not. An attempt that was cancelled or lost its lease
+// no longer holds the lease, so it saves its usage with recordUsage(), which
+// leaves rows another worker is processing or has finished alone.
+//
+// status: "queued" -> "processing" -> "completed" | "dead" | "cancelled"
+// A failed attempt that can be retried goes back to "queued" with availableAt
+// pushed out by the backoff. `attempts` counts claims, so jobs that crash the
+// worker are bounded too; a job handed back at shutdown gets its claim back.
+//
+// enqueue() is idempotent per id: a job that already has a payload is
+// returned as-is with `created: false` instead of being reset.
+
+const CANCELLABLE_STATUSES = ["queued", "processing"]
+// Rows no other attempt is running on or has finished since, see recordUsage()
+const IDLE_STATUSES = ["queued", "cancelled"]
+
+// Listings leave out the payload, which carries every page of HTML, and the
+// per-file reports
+function summarize(job) {
+  const { payload, validation, usage, ...summary } = job
+  return {
+    ...summary,
+    projectId: payload?.projectId,
+    language: payload?.languages || payload?.language,
+    costUsd: usage?.costUsd,
+  }
+}
+
+function isClaimable(job, now) {
+  if (job.status === "queued") return !job.availableAt || new Date(job.availableAt).getTime() <= now
+  return job.status === "processing" && (!job.leaseExpiresAt || new Date(job.leaseExpiresAt).getTime() < now)
+}
+
+// Local stand-in for the Supabase queue. Keeps every job in memory and, when
+// given a path, mirrors the whole set to a JSON file after each change.
+function createFileJobStore(filePath) {
+  let jobs = null
+  let writeChain = Promise.resolve()
+
+  async function load() {
+    if (jobs) return jobs
+
+    jobs = new Map()
+    if (!filePath) return jobs
+
+    try {
+      const saved = JSON.parse(await readFile(filePath, "utf8"))
+      for (const job of saved) jobs.set(job.id, job)
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error
+    }
+    return jobs
+  }
+
+  function persist() {
+    if (!filePath) return Promise.resolve()
+
+    const snapshot = JSON.stringify([...jobs.values()])
+    writeChain = writeChain.then(async () => {
+      await mkdir(path.dirname(filePath), { recursive: true })
+      await writeFile(`${filePath}.tmp`, snapshot)
+      await rename(`${filePath}.tmp`, filePath)
+    })
+    return writeChain
+  }
+
+  async function update(id, fields) {
+    const job = (await load()).get(id)
+    if (!job) return null
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() })
+    await persist()
+    return { ...job }
+  }
+
+  return {
+    name: filePath ? "file" : "memory",
+
+    async enqueue({ id, payload }) {
+      const all = await load()
+      const existing = all.get(id)
+      if (existing?.payload) return { job: { ...existing }, created: false }
+
+      const now = new Date().toISOString()
+      const job = {
+        id,
+        status: "queued",
+        payload,
+        attempts: 0,
+        availableAt: null,
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        lastError: null,
+        failureReason: null,
+        zipUrl: null,
+        reviewZipUrl: null,
+        validation: null,
+        translationMemory: null,
+        incremental: null,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+      }
+      all.set(id, job)
+      await persist()
+      return { job: { ...job }, created: true }
+    },
+
+    async claim(workerId, leaseMs) {
+      const now = Date.now()
+      const job = [...(await load()).values()]
+        .filter((candidate) => isClaimable(candidate, now))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0]
+      if (!job) return null
+
+      return update(job.id, {
+        status: "processing",
+        attempts: job.attempts + 1,
+        leaseOwner: workerId,
+        leaseExpiresAt: new Date(now + leaseMs).toISOString(),
+      })
+    },
+
+    async renewLease(id, workerId, leaseMs) {
+      const job = (await load()).get(id)
+      if (!job || job.leaseOwner !== workerId) return false
+      await update(id, { leaseExpiresAt: new Date(Date.now() + leaseMs).toISOString() })
+      return true
+    },
+
+    async release(id, workerId, fields) {
+      const job = (await load()).get(id)
+      if (!job || job.leaseOwner !== workerId) return null
+      return update(id, { ...fields, leaseOwner: null, leaseExpiresAt: null })
+    },
+
+    async get(id) {
+      const job = (await load()).get(id)
+      return job ? { ...job } : null
+    },
+
+    async list({ limit = 50 } = {}) {
+      return [...(await load()).values()]
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+        .map(summarize)
+    },
+
+    async countByStatus(statuses) {
+      const counts = Object.fromEntries(statuses.map((status) => [status, 0]))
+      for (const job of (await load()).values()) {
+        if (job.status in counts) counts[job.status]++
+      }
+      return counts
+    },
+
+    // Estimated spend of a user's other jobs created since `since`
+    async userCostSince(userId, since, excludeId) {
+      let total = 0
+      for (const job of (await load()).values()) {
+        if (job.id === excludeId || job.payload?.userId !== userId || job.createdAt < since) continue
+        total += job.usage?.costUsd || 0
+      }
+      return total
+    },
+
+    async recordUsage(id, usage) {
+      const job = (await load()).get(id)
+      if (!job || !IDLE_STATUSES.includes(job.status)) return false
+      await update(id, { usage })
+      return true
+    },
+
+    async cancel(id) {
+      const job = (await load()).get(id)
+      if (!job || !CANCELLABLE_STATUSES.includes(job.status)) return null
+      return update(id, { status: "cancelled", leaseOwner: null, leaseExpiresAt: null })
+    },
+
+    // A single local process owns the file, so anything still marked as
+    // processing was interrupted by a restart
+    async recover(workerId) {
+      const interrupted = [...(await load()).values()].filter(
+        (job) => job.status === "processing" && job.leaseOwner !== workerId,
+      )
+      for (const job of interrupted) {
+        await update(job.id, { status: "queued", leaseOwner: null, leaseExpiresAt: null })
+      }
+      return interrupted.length
+    },
+  }
+}
+
+// Production queue on the existing translation_queue table. Requires:
+//
+//   alter table translation_queue
+//     add column if not exists payload jsonb,
+//     add column if not exists attempts integer not null default 0,
+//     add column if not exists lease_owner text,
+//     add column if not exists lease_expires_at timestamptz,
+//     add column if not exists available_at timestamptz,
+//     add column if not exists last_error text,
+//     add column if not exists failure_reason text,
+//     add column if not exists validation_report jsonb,
+//     add column if not exists review_zip_url text,
+//     add column if not exists memory_stats jsonb,
+//     add column if not exists incremental jsonb,
+//     add column if not exists usage jsonb;
+function createSupabaseJobStore() {
+  const SUMMARY_COLUMNS =
+    "id, status, attempts, available_at, lease_owner, lease_expires_at, last_error, failure_reason, zip_url, review_zip_url, created_at"
+  const COLUMNS = `${SUMMARY_COLUMNS}, payload, validation_report, memory_stats, incremental, usage`
+
+  function fromRow(row) {
+    if (!row) return null
+    return {
+      id: row.id,
+      status: row.status,
+      payload: row.payload,
+      attempts: row.attempts || 0,
+      availableAt: row.available_at,
+      leaseOwner: row.lease_owner,
+      leaseExpiresAt: row.lease_expires_at,
+      lastError: row.last_error,
+      failureReason: row.failure_reason,
+      zipUrl: row.zip_url,
+      reviewZipUrl: row.review_zip_url,
+      validation: row.validation_report,
+      translationMemory: row.memory_stats,
+      incremental: row.incremental,
+      usage: row.usage,
+      createdAt: row.created_at,
+      ...(row.project_id !== undefined && {
+        projectId: row.project_id,
+        language: row.languages || row.language,
+        costUsd: row.cost_usd ?? undefined,
+      }),
+    }
+  }
+
+  function toRow(fields) {
+    const row = {}
+    if ("status" in fields) row.status = fields.status
+    if ("attempts" in fields) row.attempts = fields.attempts
+    if ("leaseOwner" in fields) row.lease_owner = fields.leaseOwner
+    if ("leaseExpiresAt" in fields) row.lease_expires_at = fields.leaseExpiresAt
+    if ("availableAt" in fields) row.available_at = fields.availableAt
+    if ("lastError" in fields) row.last_error = fields.lastError
+    if ("failureReason" in fields) row.failure_reason = fields.failureReason
+    if ("zipUrl" in fields) row.zip_url = fields.zipUrl
+    if ("reviewZipUrl" in fields) row.review_zip_url = fields.reviewZipUrl
+    if ("validation" in fields) row.validation_report = fields.validation
+    if ("translationMemory" in fields) row.memory_stats = fields.translationMemory
+    if ("incremental" in fields) row.incremental = fields.incremental
+    if ("usage" in fields) row.usage = fields.usage
+    // Surface the final state in the columns the dashboard already shows
+    if (fields.status === "dead") {
+      row.error_message = fields.lastError
+      row.current_step = `Failed: ${fields.lastError}`
+    }
+    if (fields.status === "cancelled") {
+      row.current_step = "Cancelled"
+    }
+    return row
+  }
+
+  function unwrap({ data, error }, action) {
+    if (error) throw new Error(`Job store ${action} failed: ${error.message}`)
+    return data
+  }
+
+  return {
+    name: "supabase",
+
+    async enqueue({ id, payload }) {
+      const fields = {
+        status: "queued",
+        payload,
+        attempts: 0,
+        available_at: null,
+        lease_owner: null,
+        lease_expires_at: null,
+        last_error: null,
+        failure_reason: null,
+        validation_report: null,
+        memory_stats: null,
+        incremental: null,
+      }
+
+      // The row usually exists already (created by the web app without a
+      // payload); claiming it only while payload is null makes a duplicate
+      // webhook a no-op
+      const updated = unwrap(
+        await getSupabase()
+          .from("translation_queue")
+          .update(fields)
+          .eq("id", id)
+          .is("payload", null)
+          .select(COLUMNS),
+        "enqueue",
+      )
+      if (updated.length > 0) return { job: fromRow(updated[0]), created: true }
+
+      const { data, error } = await getSupabase()
+        .from("translation_queue")
+        .insert({ id, ...fields })
+        .select(COLUMNS)
+        .single()
+      if (error?.code === "23505") {
+        return { job: await this.get(id), created: false }
+      }
+      return { job: fromRow(unwrap({ data, error }, "enqueue")), created: true }
+    },
+
+    async claim(workerId, leaseMs) {
+      const now = new Date().toISOString()
+      const candidates = unwrap(
+        await getSupabase()
+          .from("translation_queue")
+          .select("id, status, attempts")
+          .not("payload", "is", null)
+          .or(
+            `and(status.eq.queued,or(available_at.is.null,available_at.lte.${now})),` +
+              `and(status.eq.processing,lease_expires_at.lt.${now})`,
+          )
+          .order("created_at", { ascending: true })
+          .limit(5),
+        "claim",
+      )
+
+      // The conditional update only succeeds for one worker per job
+      for (const candidate of candidates) {
+        let query = getSupabase()
+          .from("translation_queue")
+          .update({
+            status: "processing",
+            attempts: (candidate.attempts || 0) + 1,
+            lease_owner: workerId,
+            lease_expires_at: new Date(Date.now() + leaseMs).toISOString(),
+          })
+          .eq("id", candidate.id)
+          .eq("status", candidate.status)
+          .eq("attempts", candidate.attempts || 0)
+        if (candidate.status === "processing") {
+          query = query.lt("lease_expires_at", now)
+        }
+
+        const claimed = unwrap(await query.select(COLUMNS), "claim")
+        if (claimed.length > 0) return fromRow(claimed[0])
+      }
+      return null
+    },
+
+    async renewLease(id, workerId, leaseMs) {
+      const data = unwrap(
+        await getSupabase()
+          .from("translation_queue")
+          .update({ lease_expires_at: new Date(Date.now() + leaseMs).toISOString() })
+          .eq("id", id)
+          .eq("lease_owner", workerId)
+          .select("id"),
+        "lease renewal",
+      )
+      return data.length > 0
+    },
+
+    async release(id, workerId, fields) {
+      const data = unwrap(
+        await getSupabase()
+          .from("translation_queue")
+          .update({ ...toRow(fields), lease_owner: null, lease_expires_at: null })
+          .eq("id", id)
+          .eq("lease_owner", workerId)
+          .select(COLUMNS),
+        "release",
+      )
+      return fromRow(data[0])
+    },
+
+    async get(id) {
+      const data = unwrap(
+        await getSupabase().from("translation_queue").select(COLUMNS).eq("id", id).maybeSingle(),
+        "lookup",
+      )
+      return fromRow(data)
+    },
+
+    async list({ limit = 50 } = {}) {
+      const data = unwrap(
+        await getSupabase()
+          .from("translation_queue")
+          .select(
+            `${SUMMARY_COLUMNS}, project_id:payload->>projectId, language:payload->>language, languages:payload->languages, cost_usd:usage->costUsd`,
+          )
+          .not("payload", "is", null)
+          .order("created_at", { ascending: false })
+          .limit(limit),
+        "listing",
+      )
+      return data.map(fromRow)
+    },
+
+    async countByStatus(statuses) {
+      const counts = {}
+      for (const status of statuses) {
+        const { count, error } = await getSupabase()
+          .from("translation_queue")
+          .select("id", { count: "exact", head: true })
+          .eq("status", status)
+          .not("payload", "is", null)
+        if (error) throw new Error(`Job store count failed: ${error.message}`)
+        counts[status] = count
+      }
+      return counts
+    },
+
+    async userCostSince(userId, since, excludeId) {
+      const data = unwrap(
+        await getSupabase()
+          .from("translation_queue")
+          .select("id, cost_usd:usage->costUsd")
+          .eq("payload->>userId", userId)
+          .gte("created_at", since)
+          .neq("id", excludeId),
+        "cost lookup",
+      )
+      return data.reduce((total, row) => total + (Number(row.cost_usd) || 0), 0)
+    },
+
+    async recordUsage(id, usage) {
+      const data = unwrap(
+        await getSupabase()
+          .from("translation_queue")
+          .update({ usage })
+          .eq("id", id)
+          .in("status", IDLE_STATUSES)
+          .select("id"),
+        "usage update",
+      )
+      return data.length > 0
+    },
+
+    async cancel(id) {
+      const data = unwrap(
+        await getSupabase()
+          .from("translation_queue")
+          .update(toRow({ status: "cancelled", leaseOwner: null, leaseExpiresAt: null }))
+          .eq("id", id)
+          .in("status", CANCELLABLE_STATUSES)
+          .select(COLUMNS),
+        "cancellation",
+      )
+      return fromRow(data[0])
+    },
+
+    // Other instances may still be working, so only expired leases are reset
+    async recover() {
+      const data = unwrap(
+        await getSupabase()
+          .from("translation_queue")
+          .update({ status: "queued", lease_owner: null, lease_expires_at: null })
+          .eq("status", "processing")
+          .not("payload", "is", null)
+          .lt("lease_expires_at", new Date().toISOString())
+          .select("id"),
+        "recovery",
+      )
+      return data.length
+    },
+  }
+}
+
+// JOB_STORE=supabase|file|memory. Defaults to Supabase when it is configured,
+// otherwise to a local file so development and tests need no credentials.
+export function createJobStore(kind = process.env.JOB_STORE) {
+  const selected = kind || (process.env.SUPABASE_URL ? "supabase" : "file")
+
+  switch (selected) {
+    case "supabase":
+      return createSupabaseJobStore()
+    case "file":
+      return createFileJobStore(process.env.JOB_STORE_PATH || path.join(process.cwd(), "data", "jobs.json"))
+    case "memory":
+      return createFileJobStore(null)
+    default:
+      throw new Error(`Unknown job store: ${selected}`)
+  }
+}
+
+let sharedStore
+
+// The queue and the local status store share one job store, so completing a
+// job can check the lease the queue holds
+export function getJobStore() {
+  if (!sharedStore) {
+    sharedStore = createJobStore()
+  }
+  return sharedStore
+}
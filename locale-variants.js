@@ -0,0 +1,160 @@
+import path from "node:path"
+
+const URL_ATTRIBUTE_PATTERN = /(\s(?:src|href|poster|data-src)\s*=\s*)(["'])([^"']*)\2/gi
+const SRCSET_ATTRIBUTE_PATTERN = /(\s(?:srcset|data-srcset)\s*=\s*)(["'])([^"']*)\2/gi
+const CSS_URL_PATTERN = /url\(\s*(["']?)([^"')]+)\1\s*\)/gi
+const NON_RELATIVE_URL = /^(?:[a-z][a-z\d+.-]*:|\/\/|\/|#|\?|\{\{|\$\{)/i
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+}
+
+export function localePath(language, filename) {
+  return `${language}/${filename}`
+}
+
+// Pages move from `page.html` to `es/page.html` while assets stay at the
+// package root, so relative asset URLs need re-pointing. Links between
+// translated pages keep working as-is because every locale folder mirrors the
+// original page layout.
+export function rebaseRelativeUrls(html, filename, newFilename, pageFilenames) {
+  const fromDir = path.posix.dirname(filename)
+  const toDir = path.posix.dirname(newFilename)
+
+  const rebase = (url) => {
+    const trimmed = url.trim()
+    if (!trimmed || NON_RELATIVE_URL.test(trimmed)) return url
+
+    const [, urlPath, suffix] = trimmed.match(/^([^?#]*)(.*)$/)
+    const target = path.posix.normalize(path.posix.join(fromDir, urlPath))
+    if (!urlPath || urlPath.endsWith("/") || pageFilenames.has(target)) return url
+
+    return path.posix.relative(toDir, target) + suffix
+  }
+
+  const rebaseCss = (css) => css.replace(CSS_URL_PATTERN, (match, quote, url) => `url(${quote}${rebase(url)}${quote})`)
+
+  return html
+    .replace(URL_ATTRIBUTE_PATTERN, (match, prefix, quote, url) => `${prefix}${quote}${rebase(url)}${quote}`)
+    .replace(SRCSET_ATTRIBUTE_PATTERN, (match, prefix, quote, srcset) => {
+      const candidates = srcset.split(",").map((candidate) => {
+        const [url, ...descriptors] = candidate.trim().split(/\s+/)
+        return [rebase(url), ...descriptors].join(" ")
+      })
+      return `${prefix}${quote}${candidates.join(", ")}${quote}`
+    })
+    .replace(/(\sstyle\s*=\s*)(["'])([^"']*)\2/gi, (match, prefix, quote, style) => `${prefix}${quote}${rebaseCss(style)}${quote}`)
+    .replace(/(<style[^>]*>)([\s\S]*?)(<\/style>)/gi, (match, open, css, close) => open + rebaseCss(css) + close)
+}
+
+// Adds <link rel="alternate" hreflang> for every locale of the page. Without
+// a siteUrl the links are relative to the page's own locale folder.
+// `locales` maps a language to the regional variant its pages are written in.
+export function injectHreflangLinks(html, { filename, language, languages, siteUrl, locales = {} }) {
+  const ownPath = localePath(language, filename)
+  // Parsed so the href is the normalized, percent-encoded form of the URL
+  const base = siteUrl && new URL(siteUrl).href.replace(/\/+$/, "")
+  const links = languages.map((variant) => {
+    const variantPath = localePath(variant, filename)
+    const href = base ? `${base}/${variantPath}` : path.posix.relative(path.posix.dirname(ownPath), variantPath)
+    return `<link rel="alternate" hreflang="${escapeAttribute(locales[variant] ?? variant)}" href="${escapeAttribute(href)}">`
+  })
+
+  const withoutExisting = html.replace(/[ \t]*<link\b[^>]*\bhreflang\s*=[^>]*>\n?/gi, "")
+  const block = links.join("\n") + "\n"
+
+  if (/<\/head>/i.test(withoutExisting)) {
+    return withoutExisting.replace(/<\/head>/i, `${block}</head>`)
+  }
+  if (/<html[^>]*>/i.test(withoutExisting)) {
+    return withoutExisting.replace(/<html[^>]*>/i, (tag) => `${tag}\n<head>\n${block}</head>`)
+  }
+  return block + withoutExisting
+}
+
+// Scripts written right to left; region subtags (ar-EG) use the base language
+const RTL_LANGUAGES = new Set(["ar", "he", "fa", "ur"])
+
+// og:locale wants language_TERRITORY; these are the usual defaults
+const DEFAULT_TERRITORIES = {
+  en: "US", ru: "RU", ar: "AR", zh: "CN", ja: "JP", ko: "KR", he: "IL", th: "TH", hi: "IN", el: "GR", vi: "VN",
+  es: "ES", fr: "FR", de: "DE", pt: "PT", it: "IT", pl: "PL", nl: "NL", sv: "SE", tr: "TR",
+}
+
+function baseLanguage(language) {
+  return language.split(/[-_]/)[0].toLowerCase()
+}
+
+export function isRtlLanguage(language) {
+  return RTL_LANGUAGES.has(baseLanguage(language))
+}
+
+export function toOgLocale(language) {
+  const [base, region] = language.split(/[-_]/)
+  const territory = region || DEFAULT_TERRITORIES[base.toLowerCase()]
+  return territory ? `${base.toLowerCase()}_${territory.toUpperCase()}` : base.toLowerCase()
+}
+
+function attributePattern(name) {
+  return new RegExp(`(\\s${name}\\s*=\\s*)("[^"]*"|'[^']*'|[^\\s"'>]+)`, "i")
+}
+
+function readAttribute(tag, name) {
+  const match = tag.match(attributePattern(name))
+  return match ? match[2].replace(/^["']|["']$/g, "") : undefined
+}
+
+function setAttribute(tag, name, value) {
+  if (attributePattern(name).test(tag)) {
+    return tag.replace(attributePattern(name), (match, prefix) => `${prefix}"${escapeAttribute(value)}"`)
+  }
+  return tag.replace(/\s*\/?>$/, (end) => ` ${name}="${escapeAttribute(value)}"${end}`)
+}
+
+function updateMeta(html, matches, content) {
+  return html.replace(/<meta\b[^>]*>/gi, (tag) => (matches(tag) ? setAttribute(tag, "content", content) : tag))
+}
+
+// The `lang` of a page's <html> element, as set by localizeDocument
+export function documentLanguage(html) {
+  const tag = html.match(/<html\b[^>]*>/i)?.[0]
+  return tag ? readAttribute(tag, "lang") : undefined
+}
+
+// Rewrites the document-level locale markers of a translated page: `lang` and
+// `dir` on <html>, og:locale and content-language meta. RTL pages can also get
+// a class hook on <html> and an extra stylesheet, both opt-in per job or via
+// RTL_CLASS / RTL_STYLESHEET. A relative stylesheet path is from the package
+// root and is linked relative to the page at `filename`.
+export function localizeDocument(html, { filename = "", language, rtlClass, rtlStylesheet } = {}) {
+  const rtl = isRtlLanguage(language)
+  const className = rtlClass ?? process.env.RTL_CLASS
+  const stylesheet = rtlStylesheet ?? process.env.RTL_STYLESHEET
+
+  let result = html.replace(/<html\b[^>]*>/i, (tag) => {
+    let updated = setAttribute(tag, "lang", language)
+    updated = setAttribute(updated, "dir", rtl ? "rtl" : "ltr")
+    if (rtl && className) {
+      const classes = (readAttribute(updated, "class") || "").split(/\s+/).filter(Boolean)
+      if (!classes.includes(className)) updated = setAttribute(updated, "class", [...classes, className].join(" "))
+    }
+    return updated
+  })
+
+  result = updateMeta(result, (tag) => readAttribute(tag, "property")?.toLowerCase() === "og:locale", toOgLocale(language))
+  result = updateMeta(
+    result,
+    (tag) => readAttribute(tag, "http-equiv")?.toLowerCase() === "content-language",
+    language,
+  )
+
+  const href =
+    stylesheet && !NON_RELATIVE_URL.test(stylesheet)
+      ? path.posix.relative(path.posix.dirname(filename), path.posix.normalize(stylesheet))
+      : stylesheet
+  const stylesheetHref = href && `href="${escapeAttribute(href)}"`
+  if (rtl && stylesheet && !result.includes(stylesheetHref) && /<\/head>/i.test(result)) {
+    result = result.replace(/<\/head>/i, () => `<link rel="stylesheet" ${stylesheetHref}>\n</head>`)
+  }
+  return result
+}
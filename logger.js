@@ -0,0 +1,69 @@
+import { AsyncLocalStorage } from "node:async_hooks"
+
+// Structured logging. Every line is one JSON object:
+//
+//   { timestamp, level, message, jobId?, projectId?, language?, file?, chunk?, ...fields }
+//
+// The job, file and chunk come from the async context set with
+// withLogContext, so lines from jobs running side by side can be filtered
+// apart without passing a logger around. LOG_LEVEL=debug|info|warn|error sets
+// the threshold (info by default); LOG_FORMAT=pretty prints readable lines for
+// local development and is the default when stdout is a terminal.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+const COLORS = { debug: "\x1b[90m", info: "\x1b[36m", warn: "\x1b[33m", error: "\x1b[31m" }
+const CONTEXT_FIELDS = ["jobId", "projectId", "language", "file", "chunk"]
+
+const threshold = LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS.info
+const pretty = process.env.LOG_FORMAT ? process.env.LOG_FORMAT === "pretty" : Boolean(process.stdout.isTTY)
+
+const context = new AsyncLocalStorage()
+
+// Runs `fn` with `fields` added to everything it logs, including from the
+// promises and timers it starts
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn)
+}
+
+function serialize(value) {
+  if (!(value instanceof Error)) return value
+  return {
+    name: value.name,
+    message: value.message,
+    ...(value.reason && { reason: value.reason }),
+    ...(value.status && { status: value.status }),
+    stack: value.stack,
+  }
+}
+
+function formatPretty({ timestamp, level, message, ...fields }) {
+  const scope = CONTEXT_FIELDS.filter((name) => fields[name] !== undefined)
+    .map((name) => `${name}=${fields[name]}`)
+    .join(" ")
+  for (const name of CONTEXT_FIELDS) delete fields[name]
+
+  const stack = fields.error?.stack
+  if (stack) fields.error = fields.error.message
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : ""
+
+  const label = `${COLORS[level]}${level.toUpperCase().padEnd(5)}\x1b[0m`
+  return `${timestamp.slice(11, 23)} ${label} ${scope ? `[${scope}] ` : ""}${message}${extra}${stack ? `\n${stack}` : ""}`
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < threshold) return
+
+  const entry = { timestamp: new Date().toISOString(), level, message, ...context.getStore() }
+  for (const [name, value] of Object.entries(fields)) entry[name] = serialize(value)
+
+  const line = pretty ? formatPretty(entry) : JSON.stringify(entry)
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout
+  stream.write(`${line}\n`)
+}
+
+export const log = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+}
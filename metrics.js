@@ -0,0 +1,118 @@
+import client from "prom-client"
+
+// Prometheus metrics served on GET /metrics. Everything is registered on one
+// registry along with Node's default process metrics.
+
+export const registry = new client.Registry()
+client.collectDefaultMetrics({ register: registry })
+
+const SIZE_BUCKETS = [10e3, 100e3, 1e6, 5e6, 10e6, 25e6, 50e6, 100e6, 250e6]
+
+export const jobsTotal = new client.Counter({
+  name: "translation_jobs_total",
+  help: "Translation job attempts by outcome (completed, failed, cancelled)",
+  labelNames: ["outcome"],
+  registers: [registry],
+})
+
+export const jobDuration = new client.Histogram({
+  name: "translation_job_duration_seconds",
+  help: "Duration of translation job attempts",
+  labelNames: ["outcome"],
+  buckets: [5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600],
+  registers: [registry],
+})
+
+export const stageDuration = new client.Histogram({
+  name: "translation_job_stage_duration_seconds",
+  help: "Time spent in each stage of a translation job",
+  labelNames: ["stage"],
+  buckets: [0.1, 0.5, 1, 5, 15, 30, 60, 120, 300, 600, 1800],
+  registers: [registry],
+})
+
+export const queueJobs = new client.Gauge({
+  name: "translation_queue_jobs",
+  help: "Jobs in the queue by status",
+  labelNames: ["status"],
+  registers: [registry],
+})
+
+export const activeJobs = new client.Gauge({
+  name: "translation_active_jobs",
+  help: "Jobs running in this process",
+  registers: [registry],
+})
+
+export const chunksTotal = new client.Counter({
+  name: "translation_chunks_total",
+  help: "Segment chunks translated by the model",
+  registers: [registry],
+})
+
+export const modelCallDuration = new client.Histogram({
+  name: "translation_model_call_duration_seconds",
+  help: "Latency of model calls, not counting time spent waiting on the rate limiter",
+  labelNames: ["provider", "task", "outcome"],
+  buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120],
+  registers: [registry],
+})
+
+export const tokensTotal = new client.Counter({
+  name: "translation_tokens_total",
+  help: "Model tokens used, as reported by the provider or estimated",
+  labelNames: ["provider", "model", "direction"],
+  registers: [registry],
+})
+
+export const costTotal = new client.Counter({
+  name: "translation_cost_usd_total",
+  help: "Estimated model cost in US dollars",
+  labelNames: ["provider", "model"],
+  registers: [registry],
+})
+
+export const retriesTotal = new client.Counter({
+  name: "translation_retries_total",
+  help: "Chunk and direct translation attempts that were retried, by what went wrong",
+  labelNames: ["kind", "reason"],
+  registers: [registry],
+})
+
+export const failuresTotal = new client.Counter({
+  name: "translation_failures_total",
+  help: "Chunks, direct translations and jobs that failed for good, by reason",
+  labelNames: ["kind", "reason"],
+  registers: [registry],
+})
+
+export const packageSize = new client.Histogram({
+  name: "translation_package_size_bytes",
+  help: "Size of downloaded templates and generated packages",
+  labelNames: ["kind"],
+  buckets: SIZE_BUCKETS,
+  registers: [registry],
+})
+
+// Times consecutive stages of one job; entering the stage it is already in
+// keeps its clock running
+export function createStageTimer() {
+  let current = null
+  let endTimer = null
+
+  const finish = () => {
+    endTimer?.()
+    current = null
+    endTimer = null
+  }
+
+  return {
+    enter(stage) {
+      if (stage === current) return
+      finish()
+      current = stage
+      endTimer = stageDuration.startTimer({ stage })
+    },
+    finish,
+  }
+}
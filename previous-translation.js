@@ -0,0 +1,116 @@
+import { alignSegments } from "./html-segments.js"
+import { documentLanguage, localePath } from "./locale-variants.js"
+import { log } from "./logger.js"
+import { downloadTemplate } from "./storage.js"
+import { discoverHTMLFiles, openTemplateArchive } from "./template-archive.js"
+import { keepWhitespace, normalizeSegment } from "./translation-memory.js"
+
+// Incremental re-translation. Each page of the template an earlier package
+// was built from is aligned with its translation in that package, giving
+// source -> translation pairs per language. Segments of the new template
+// that match a pair are reused; only changed and new text goes to the model.
+//
+//   previousTranslation: { zipUrl, templateZipUrl }
+
+async function openArchive(url) {
+  return openTemplateArchive(await downloadTemplate(url))
+}
+
+// Multi-locale packages keep pages in locale folders; single-language ones
+// replace them in place, so the page's lang tells whether it matches
+async function findTranslatedPage(zip, filename, language) {
+  const localized = zip.file(localePath(language, filename))
+  if (localized) return localized.async("string")
+
+  const inPlace = zip.file(filename)
+  if (!inPlace) return null
+  const html = await inPlace.async("string")
+  return documentLanguage(html) === language ? html : null
+}
+
+// Pairs from the same page win over identical text found on other pages
+function createSegmentReuse() {
+  const byFile = new Map()
+  const anyFile = new Map()
+
+  return {
+    add(filename, alignedSegments) {
+      const pairs = byFile.get(filename) || new Map()
+      for (const { text, translatedText } of alignedSegments) {
+        // Text the earlier run left unchanged may not have been translated at all
+        if (translatedText === undefined || normalizeSegment(translatedText) === normalizeSegment(text)) continue
+
+        const key = normalizeSegment(text)
+        pairs.set(key, normalizeSegment(translatedText))
+        if (!anyFile.has(key)) anyFile.set(key, normalizeSegment(translatedText))
+      }
+      byFile.set(filename, pairs)
+    },
+
+    get size() {
+      return anyFile.size
+    },
+
+    forFile(filename) {
+      return new Map([...anyFile, ...(byFile.get(filename) || [])])
+    },
+  }
+}
+
+// Resolves to Map(language -> reuse); languages the earlier package doesn't
+// have end up with an empty reuse
+export async function loadPreviousTranslations(previous, languages, { translatableAttributes, signal } = {}) {
+  const [sourceZip, packageZip] = await Promise.all([openArchive(previous.templateZipUrl), openArchive(previous.zipUrl)])
+  const sourcePages = await discoverHTMLFiles(sourceZip)
+  const segmentOptions = { attributes: translatableAttributes }
+
+  const byLanguage = new Map()
+  for (const language of languages) {
+    const reuse = createSegmentReuse()
+    let pagesAligned = 0
+
+    for (const page of sourcePages) {
+      signal?.throwIfAborted()
+      const translatedHTML = await findTranslatedPage(packageZip, page.filename, language)
+      if (!translatedHTML) continue
+
+      const aligned = alignSegments(page.html, translatedHTML, segmentOptions)
+      if (!aligned) {
+        log.warn(`Previous ${language} translation of ${page.filename} doesn't line up with its source, skipping`, {
+          file: page.filename,
+          language,
+        })
+        continue
+      }
+      reuse.add(page.filename, aligned)
+      pagesAligned++
+    }
+
+    log.info(`Previous ${language} translation: ${pagesAligned}/${sourcePages.length} pages, ${reuse.size} segments`, { language })
+    byLanguage.set(language, reuse)
+  }
+  return byLanguage
+}
+
+// Returns a copy of `segments` with `translatedText` filled in from the
+// earlier package where `accept(segment, translation)` allows it, and counts
+// reuse in `stats` ({ reused, segments })
+export function applyPreviousTranslations(segments, previous, stats, accept = () => true) {
+  let reused = 0
+  const result = segments.map((segment) => {
+    const previousText = previous.get(normalizeSegment(segment.text))
+    if (previousText === undefined) return segment
+
+    const translatedText = keepWhitespace(segment.text, previousText)
+    if (!accept(segment, translatedText)) return segment
+
+    reused++
+    return { ...segment, translatedText }
+  })
+
+  if (stats) {
+    stats.reused += reused
+    stats.segments += segments.length
+  }
+  return result
+}
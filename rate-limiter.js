@@ -0,0 +1,112 @@
+import { setTimeout as delay } from "node:timers/promises"
+
+// Process-wide token buckets for model calls, shared by every job, file and
+// chunk in flight. Callers acquire one request plus an estimate of the tokens
+// it will use; waiters are served in arrival order. A 429 pauses everyone
+// for the retry delay and halves the rate, which then recovers linearly over
+// RECOVERY_MS.
+
+const DEFAULT_REQUESTS_PER_MINUTE = 60
+const DEFAULT_TOKENS_PER_MINUTE = 1_000_000
+const DEFAULT_RETRY_DELAY_MS = 10_000
+const MIN_RATE_FACTOR = 0.125
+const RECOVERY_MS = 5 * 60 * 1000
+
+export function createRateLimiter({ requestsPerMinute, tokensPerMinute, now = Date.now }) {
+  let requests = requestsPerMinute
+  let tokens = tokensPerMinute
+  let rateFactor = 1
+  let pausedUntil = 0
+  let lastRefill = now()
+  let queue = Promise.resolve()
+
+  function refill() {
+    const current = now()
+    const elapsed = current - lastRefill
+    lastRefill = current
+
+    rateFactor = Math.min(1, rateFactor + elapsed / RECOVERY_MS)
+    requests = Math.min(requestsPerMinute, requests + (elapsed / 60_000) * requestsPerMinute * rateFactor)
+    tokens = Math.min(tokensPerMinute, tokens + (elapsed / 60_000) * tokensPerMinute * rateFactor)
+  }
+
+  function msUntilAvailable(cost) {
+    const requestWait = requests >= 1 ? 0 : ((1 - requests) / (requestsPerMinute * rateFactor)) * 60_000
+    const tokenWait = tokens >= cost ? 0 : ((cost - tokens) / (tokensPerMinute * rateFactor)) * 60_000
+    return Math.max(pausedUntil - now(), requestWait, tokenWait)
+  }
+
+  async function take(cost, signal) {
+    while (true) {
+      signal?.throwIfAborted()
+      refill()
+
+      const wait = msUntilAvailable(cost)
+      if (wait <= 0) {
+        requests -= 1
+        tokens -= cost
+        return
+      }
+
+      try {
+        await delay(Math.ceil(wait), undefined, { signal })
+      } catch (error) {
+        // Surface the job's own abort reason rather than a generic AbortError
+        signal?.throwIfAborted()
+        throw error
+      }
+    }
+  }
+
+  return {
+    acquire(estimatedTokens = 0, signal) {
+      // A single request larger than the whole budget still has to go through
+      const cost = Math.min(estimatedTokens, tokensPerMinute)
+      const turn = queue.then(() => take(cost, signal))
+      queue = turn.catch(() => {})
+      return turn
+    },
+
+    backOff(retryDelayMs = DEFAULT_RETRY_DELAY_MS) {
+      refill()
+      pausedUntil = Math.max(pausedUntil, now() + retryDelayMs)
+      rateFactor = Math.max(MIN_RATE_FACTOR, rateFactor / 2)
+      requests = Math.min(requests, 0)
+    },
+
+    stats() {
+      refill()
+      return { requests: Math.floor(requests), tokens: Math.floor(tokens), rateFactor, pausedUntil }
+    },
+  }
+}
+
+// Rough size of a prompt in model tokens (about four characters per token)
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4)
+}
+
+export function isRateLimitError(error) {
+  return error?.status === 429 || /\b429\b|RESOURCE_EXHAUSTED|Too Many Requests/i.test(error?.message || "")
+}
+
+// Gemini reports how long to wait as RetryInfo ("retryDelay": "31s")
+export function retryDelayFrom(error) {
+  const retryInfo = error?.errorDetails?.find((detail) => detail["@type"]?.endsWith("RetryInfo"))
+  const seconds = Number.parseFloat(retryInfo?.retryDelay)
+  return Number.isFinite(seconds) ? seconds * 1000 : DEFAULT_RETRY_DELAY_MS
+}
+
+let sharedLimiter
+
+// TRANSLATION_REQUESTS_PER_MINUTE and TRANSLATION_TOKENS_PER_MINUTE set the
+// quota for the whole process
+export function getRateLimiter() {
+  if (!sharedLimiter) {
+    sharedLimiter = createRateLimiter({
+      requestsPerMinute: Number(process.env.TRANSLATION_REQUESTS_PER_MINUTE) || DEFAULT_REQUESTS_PER_MINUTE,
+      tokensPerMinute: Number(process.env.TRANSLATION_TOKENS_PER_MINUTE) || DEFAULT_TOKENS_PER_MINUTE,
+    })
+  }
+  return sharedLimiter
+}
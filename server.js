@@ -1,24 +1,44 @@
 import express from "express"
-import { processTranslationJob } from "./translator.js"
+import {
+  cancelJob,
+  collectQueueMetrics,
+  drainJobs,
+  enqueueJob,
+  getJobStatus,
+  isAcceptingJobs,
+  listJobs,
+  startJobWorker,
+  workerState,
+} from "./job-queue.js"
+import { parseImportRequest, parseTranslationRequest } from "./job-payload.js"
+import { log } from "./logger.js"
+import { registry } from "./metrics.js"
+import { captureRawBody, requireWebhookSignature } from "./webhook-auth.js"
 
 const app = express()
-app.use(express.json({ limit: "50mb" }))
+app.use(express.json({ limit: "50mb", verify: captureRawBody }))
 
 const PORT = process.env.PORT || 3001
 
 const startupTime = new Date()
-const isReady = true
+// Set by SIGTERM/SIGINT; new jobs are refused while running ones finish
+let shuttingDown = false
 
 app.get("/", (req, res) => {
   res.json({
     service: "PurePage Translation Worker",
     status: "running",
     uptime: Math.floor((Date.now() - startupTime.getTime()) / 1000),
-    ready: isReady,
+    ready: !shuttingDown && isAcceptingJobs(),
     endpoints: {
       health: "/health",
       readiness: "/ready",
       translate: "POST /translate",
+      import: "POST /import",
+      jobs: "/jobs",
+      job: "/jobs/:id",
+      cancel: "DELETE /jobs/:id",
+      metrics: "/metrics",
     },
   })
 })
@@ -32,70 +52,172 @@ app.get("/health", (req, res) => {
   })
 })
 
+// Not ready while shutting down, when misconfigured or when every job slot is
+// taken, so the load balancer sends webhooks to an instance that can start them
 app.get("/ready", (req, res) => {
-  if (isReady) {
-    res.json({ ready: true })
+  const state = workerState()
+  if (!shuttingDown && isAcceptingJobs()) {
+    res.json({ ready: true, ...state })
   } else {
-    res.status(503).json({ ready: false })
+    res.status(503).json({ ready: false, ...state })
   }
 })
 
-// Translation webhook endpoint
-app.post("/translate", async (req, res) => {
-  const { jobId, projectId, userId, templateZipUrl, processedHtmlFiles, language, projectName } = req.body
+app.get("/metrics", async (req, res) => {
+  try {
+    await collectQueueMetrics()
+  } catch (error) {
+    // Job and model metrics are still worth serving without the queue depth
+    log.error("Failed to collect queue metrics", { error: error.message })
+  }
 
-  if (!jobId || !projectId || !templateZipUrl || !processedHtmlFiles || !language) {
-    return res.status(400).json({ error: "Missing required fields" })
+  res.set("Content-Type", registry.contentType)
+  res.send(await registry.metrics())
+})
+
+// Both webhooks queue a job; `kind` only changes what is logged
+const queueJob = (parse, kind) => async (req, res) => {
+  if (shuttingDown) {
+    return res.status(503).json({ error: "Worker is shutting down" })
   }
 
-  console.log(`[Railway] Received translation job ${jobId} for project ${projectId}`)
-  console.log(`[Railway] Received ${processedHtmlFiles.length} processed HTML files`)
+  let jobId
+  try {
+    const { job, errors } = parse(req.body)
+    if (errors) {
+      return res.status(400).json({ error: `Invalid ${kind} request`, fields: errors })
+    }
 
-  res.json({ received: true, jobId, projectId })
+    jobId = job.jobId
+    const { projectId, processedHtmlFiles } = job
+    log.info(`Received ${kind} job ${jobId} for project ${projectId}`, {
+      jobId,
+      projectId,
+      processedHtmlFiles: processedHtmlFiles?.length ?? null,
+    })
 
-  processTranslationWithRetry({
-    jobId,
-    projectId,
-    userId,
-    templateZipUrl,
-    processedHtmlFiles,
-    language,
-    projectName,
-  })
-})
+    // Persist before acknowledging so a restart can't lose the job
+    const queued = await enqueueJob(job)
 
-async function processTranslationWithRetry(data) {
-  let attempt = 0
+    // A retried webhook gets the state of the run it already started
+    if (!queued.created) {
+      return res.json({ received: true, duplicate: true, jobId, projectId, job: await getJobStatus(jobId) })
+    }
 
-  while (true) {
-    attempt++
-    console.log(`[Railway] Translation attempt ${attempt} for job ${data.jobId}`)
+    res.json({ received: true, jobId, projectId })
+  } catch (error) {
+    log.error(`Failed to queue ${kind} job ${jobId ?? ""}`.trim(), { jobId, error: error.message })
+    res.status(500).json({ error: "Failed to queue job" })
+  }
+}
 
-    try {
-      await processTranslationJob(data)
-      console.log(`[Railway] Translation completed successfully for job ${data.jobId}`)
-      break
-    } catch (error) {
-      console.error(`[Railway] Translation attempt ${attempt} failed:`, error.message)
+// Translation webhook endpoint
+app.post("/translate", requireWebhookSignature, queueJob(parseTranslationRequest, "translation"))
+
+// Rebuilds a package from reviewed XLIFF (see bilingual-files.js) without
+// calling the model
+app.post("/import", requireWebhookSignature, queueJob(parseImportRequest, "import"))
+
+app.get("/jobs", requireWebhookSignature, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200)
+    res.json(await listJobs({ limit }))
+  } catch (error) {
+    log.error("Failed to list jobs", { error: error.message })
+    res.status(500).json({ error: "Failed to list jobs" })
+  }
+})
 
-      const delay = Math.min(Math.pow(2, attempt) * 1000, 300000)
-      console.log(`[Railway] Retrying in ${delay / 1000} seconds...`)
-      await new Promise((resolve) => setTimeout(resolve, delay))
+app.get("/jobs/:id", requireWebhookSignature, async (req, res) => {
+  try {
+    const job = await getJobStatus(req.params.id)
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" })
     }
+    res.json(job)
+  } catch (error) {
+    log.error(`Failed to load job ${req.params.id}`, { jobId: req.params.id, error: error.message })
+    res.status(500).json({ error: "Failed to load job" })
   }
-}
+})
+
+app.delete("/jobs/:id", requireWebhookSignature, async (req, res) => {
+  try {
+    const job = await getJobStatus(req.params.id)
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" })
+    }
+
+    const cancelled = await cancelJob(req.params.id)
+    if (!cancelled) {
+      return res.status(409).json({ error: `Job is already ${job.status}`, status: job.status })
+    }
+    res.json({ cancelled: true, jobId: cancelled.id, status: cancelled.status })
+  } catch (error) {
+    log.error(`Failed to cancel job ${req.params.id}`, { jobId: req.params.id, error: error.message })
+    res.status(500).json({ error: "Failed to cancel job" })
+  }
+})
+
+// Body parser failures (malformed JSON, oversized bodies) and anything else a
+// route lets through get a JSON error instead of Express's HTML page
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error)
+  if (error.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Request body is not valid JSON" })
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({ error: error.message })
+  }
+  log.error(`Unhandled error in ${req.method} ${req.path}`, { error })
+  res.status(500).json({ error: "Internal server error" })
+})
 
 process.on("uncaughtException", (error) => {
-  console.error("[Railway] Uncaught Exception:", error)
-  console.error(error.stack)
+  log.error("Uncaught exception", { error })
 })
 
-process.on("unhandledRejection", (reason, promise) => {
-  console.error("[Railway] Unhandled Rejection at:", promise, "reason:", reason)
+process.on("unhandledRejection", (reason) => {
+  log.error("Unhandled rejection", { error: reason })
 })
 
-app.listen(PORT, () => {
-  console.log(`[Railway] Translation worker running on port ${PORT}`)
-  console.log(`[Railway] Health check available at http://localhost:${PORT}/health`)
-  console.log(`[Railway] Ready check available at http://localhost:${PORT}/ready`)
+const server = app.listen(PORT, () => {
+  log.info(`Translation worker running on port ${PORT}`)
+  if (!process.env.WEBHOOK_SECRET) {
+    log.warn("WEBHOOK_SECRET is not set, the webhooks and job routes accept unsigned requests")
+  }
+  log.info(`Health check available at http://localhost:${PORT}/health`)
+  log.info(`Ready check available at http://localhost:${PORT}/ready`)
 })
+
+startJobWorker().catch((error) => {
+  log.error("Failed to start job worker", { error })
+  process.exit(1)
+})
+
+// Stops taking webhooks and claiming jobs, gives running jobs the grace
+// period (SHUTDOWN_GRACE_MS) to finish and re-queues the rest for another
+// instance. A second signal exits straight away; the leases of anything still
+// running then expire as after a crash.
+async function shutdown(signal) {
+  if (shuttingDown) {
+    log.warn(`Received ${signal} again, exiting now`)
+    process.exit(1)
+  }
+  shuttingDown = true
+  log.info(`Received ${signal}, shutting down`)
+
+  try {
+    const requeued = await drainJobs()
+    if (requeued > 0) log.info(`Returned ${requeued} unfinished job(s) to the queue`)
+  } catch (error) {
+    log.error("Failed to drain jobs", { error })
+  }
+
+  server.close(() => process.exit(0))
+  // Idle keep-alive connections would otherwise hold the server open
+  server.closeIdleConnections()
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"))
+process.on("SIGINT", () => shutdown("SIGINT"))
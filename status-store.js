@@ -0,0 +1,159 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises"
+import path from "node:path"
+import { JobCancelledError } from "./job-errors.js"
+import { getJobStore } from "./job-store.js"
+import { log } from "./logger.js"
+import { getSupabase } from "./supabase.js"
+
+// Where the web app reads job progress and results from.
+//
+//   { name, updateProgress(jobId, progress, currentStep), completeJob({ jobId, projectId, zipUrl, workerId }) }
+//
+// completeJob throws JobCancelledError when the job is no longer processing
+// under `workerId`'s lease (cancelled or handed to another worker meanwhile).
+
+// Requires the existing translation_queue and projects tables
+function createSupabaseStatusStore() {
+  return {
+    name: "supabase",
+
+    async updateProgress(jobId, progress, currentStep) {
+      const { error } = await getSupabase()
+        .from("translation_queue")
+        .update({ progress, current_step: currentStep })
+        .eq("id", jobId)
+      if (error) throw new Error(error.message)
+    },
+
+    async completeJob({ jobId, projectId, zipUrl, workerId }) {
+      // The queue row first, and only while this attempt still owns it, so a
+      // job cancelled during packaging or upload is never reported completed
+      let query = getSupabase()
+        .from("translation_queue")
+        .update({
+          status: "completed",
+          progress: 100,
+          current_step: "Complete!",
+          zip_url: zipUrl,
+          completed_at: new Date().toISOString(),
+        })
+        .eq("id", jobId)
+        .eq("status", "processing")
+      if (workerId) query = query.eq("lease_owner", workerId)
+
+      const { data: completed, error: queueError } = await query.select("id")
+      if (queueError) {
+        log.error("Queue update error", { error: queueError.message })
+        throw new Error(`Database update failed: ${queueError.message}`)
+      }
+      if (completed.length === 0) {
+        throw new JobCancelledError("Job was cancelled before it completed")
+      }
+
+      const { error: projectError } = await getSupabase()
+        .from("projects")
+        .update({
+          status: "completed",
+          zip_url: zipUrl,
+        })
+        .eq("id", projectId)
+
+      if (projectError) {
+        log.error("Project update error", { error: projectError.message })
+        throw new Error(`Database update failed: ${projectError.message}`)
+      }
+    },
+  }
+}
+
+// Local stand-in that keeps statuses in memory and, when given a path,
+// mirrors them to a JSON file. Leases live in the job store, which is
+// checked before a job is reported completed.
+function createLocalStatusStore(filePath) {
+  let statuses = null
+  let writeChain = Promise.resolve()
+
+  async function load() {
+    if (statuses) return statuses
+
+    statuses = new Map()
+    if (!filePath) return statuses
+
+    try {
+      const saved = JSON.parse(await readFile(filePath, "utf8"))
+      for (const [jobId, status] of Object.entries(saved)) statuses.set(jobId, status)
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error
+    }
+    return statuses
+  }
+
+  function persist() {
+    if (!filePath) return Promise.resolve()
+
+    const snapshot = JSON.stringify(Object.fromEntries(statuses))
+    writeChain = writeChain.then(async () => {
+      await mkdir(path.dirname(filePath), { recursive: true })
+      await writeFile(`${filePath}.tmp`, snapshot)
+      await rename(`${filePath}.tmp`, filePath)
+    })
+    return writeChain
+  }
+
+  async function update(jobId, fields) {
+    const all = await load()
+    all.set(jobId, { ...all.get(jobId), ...fields, updatedAt: new Date().toISOString() })
+    await persist()
+  }
+
+  return {
+    name: filePath ? "file" : "memory",
+
+    updateProgress(jobId, progress, currentStep) {
+      return update(jobId, { progress, currentStep })
+    },
+
+    async completeJob({ jobId, projectId, zipUrl, workerId }) {
+      if (workerId) {
+        const job = await getJobStore().get(jobId)
+        if (job?.status !== "processing" || job.leaseOwner !== workerId) {
+          throw new JobCancelledError("Job was cancelled before it completed")
+        }
+      }
+
+      await update(jobId, {
+        projectId,
+        progress: 100,
+        currentStep: "Complete!",
+        zipUrl,
+        completedAt: new Date().toISOString(),
+      })
+    },
+  }
+}
+
+// STATUS_STORE=supabase|file|memory. Defaults to Supabase when it is
+// configured, otherwise to a local file next to the job store.
+function createStatusStore(kind = process.env.STATUS_STORE) {
+  const selected = kind || (process.env.SUPABASE_URL ? "supabase" : "file")
+
+  switch (selected) {
+    case "supabase":
+      return createSupabaseStatusStore()
+    case "file":
+      return createLocalStatusStore(process.env.STATUS_STORE_PATH || path.join(process.cwd(), "data", "status.json"))
+    case "memory":
+      return createLocalStatusStore(null)
+    default:
+      throw new Error(`Unknown status store: ${selected}`)
+  }
+}
+
+let sharedStore
+
+export function getStatusStore() {
+  if (!sharedStore) {
+    sharedStore = createStatusStore()
+  }
+  return sharedStore
+}
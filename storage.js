@@ -0,0 +1,214 @@
+import { mkdir, readFile, writeFile } from "node:fs/promises"
+import path from "node:path"
+import { fileURLToPath, pathToFileURL } from "node:url"
+import { put } from "@vercel/blob"
+import { AwsClient } from "aws4fetch"
+import { ConfigurationError, PermanentJobError } from "./job-errors.js"
+
+// Where templates are read from and finished packages are written to.
+//
+//   { name, schemes, write(key, data, { contentType }) -> { url }, read(url) -> ArrayBuffer | null }
+//
+// `schemes` are the URL protocols `read` handles; it returns null for any
+// other URL, and those are fetched over HTTP(S).
+
+function createBlobStorage() {
+  return {
+    name: "blob",
+    schemes: [],
+
+    async write(key, data, { contentType } = {}) {
+      const blob = await put(key, data, {
+        access: "public",
+        contentType,
+        token: process.env.BLOB_READ_WRITE_TOKEN,
+      })
+      return { url: blob.url }
+    },
+
+    async read() {
+      return null
+    },
+  }
+}
+
+function createLocalStorage(directory) {
+  const root = path.resolve(directory)
+
+  return {
+    name: "local",
+    schemes: ["file:"],
+
+    async write(key, data) {
+      const filePath = path.join(root, key)
+      await mkdir(path.dirname(filePath), { recursive: true })
+      await writeFile(filePath, Buffer.from(data))
+      return { url: pathToFileURL(filePath).href }
+    },
+
+    // Only files under the storage folder: template URLs come from webhooks
+    async read(url) {
+      if (!url.startsWith("file:")) return null
+      let filePath
+      try {
+        filePath = path.resolve(fileURLToPath(url))
+      } catch {
+        throw new PermanentJobError(`Unsupported template URL: ${url}`, "template_unavailable")
+      }
+      if (!filePath.startsWith(root + path.sep)) {
+        throw new PermanentJobError(`Template is outside the storage folder: ${url}`, "template_unavailable")
+      }
+
+      try {
+        const content = await readFile(filePath)
+        return content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength)
+      } catch (error) {
+        if (error.code === "ENOENT") throw new PermanentJobError(`Template not found: ${url}`, "template_unavailable")
+        throw error
+      }
+    },
+  }
+}
+
+function createMemoryStorage() {
+  const objects = new Map()
+
+  return {
+    name: "memory",
+    schemes: ["memory:"],
+
+    async write(key, data) {
+      objects.set(key, data)
+      return { url: `memory://${key}` }
+    },
+
+    async read(url) {
+      if (!url.startsWith("memory://")) return null
+      const data = objects.get(url.slice("memory://".length))
+      if (!data) throw new PermanentJobError(`Template not found: ${url}`, "template_unavailable")
+      return data
+    },
+  }
+}
+
+// Any S3-compatible service (AWS, R2, MinIO...). Objects are addressed
+// path-style as <endpoint>/<bucket>/<key>; S3_PUBLIC_URL replaces that prefix
+// in returned URLs when the bucket is served from elsewhere (CDN, custom domain).
+function createS3Storage() {
+  const { S3_ENDPOINT, S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PUBLIC_URL } = process.env
+  if (!S3_BUCKET || !S3_ACCESS_KEY_ID || !S3_SECRET_ACCESS_KEY) {
+    throw new ConfigurationError("S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY")
+  }
+
+  const region = S3_REGION || "us-east-1"
+  const endpoint = (S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, "")
+  const client = new AwsClient({
+    accessKeyId: S3_ACCESS_KEY_ID,
+    secretAccessKey: S3_SECRET_ACCESS_KEY,
+    region,
+    service: "s3",
+  })
+  const objectUrl = (bucket, key) => `${endpoint}/${bucket}/${key.split("/").map(encodeURIComponent).join("/")}`
+
+  return {
+    name: "s3",
+    schemes: ["s3:"],
+
+    async write(key, data, { contentType = "application/octet-stream" } = {}) {
+      const response = await client.fetch(objectUrl(S3_BUCKET, key), {
+        method: "PUT",
+        body: data,
+        headers: { "Content-Type": contentType },
+      })
+      if (!response.ok) {
+        const error = new Error(`S3 upload failed: ${response.status} ${await response.text()}`)
+        error.status = response.status
+        throw error
+      }
+
+      const url = S3_PUBLIC_URL ? `${S3_PUBLIC_URL.replace(/\/+$/, "")}/${key}` : objectUrl(S3_BUCKET, key)
+      return { url }
+    },
+
+    // s3://bucket/key, signed with the worker's credentials
+    async read(url) {
+      const match = url.match(/^s3:\/\/([^/]+)\/(.+)$/)
+      if (!match) return null
+
+      const response = await client.fetch(objectUrl(match[1], match[2]))
+      if (response.status === 403 || response.status === 404) {
+        throw new PermanentJobError(`Template not found: ${url} (${response.status})`, "template_unavailable")
+      }
+      if (!response.ok) {
+        const error = new Error(`S3 download failed: ${response.status}`)
+        error.status = response.status
+        throw error
+      }
+      return response.arrayBuffer()
+    },
+  }
+}
+
+// STORAGE_BACKEND=blob|s3|local|memory. Defaults to Vercel Blob when its token
+// is configured, otherwise to local files under STORAGE_LOCAL_DIR (data/output).
+function createStorage(kind = process.env.STORAGE_BACKEND) {
+  const selected = kind || (process.env.BLOB_READ_WRITE_TOKEN ? "blob" : "local")
+
+  switch (selected) {
+    case "blob":
+      return createBlobStorage()
+    case "s3":
+      return createS3Storage()
+    case "local":
+      return createLocalStorage(process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), "data", "output"))
+    case "memory":
+      return createMemoryStorage()
+    default:
+      throw new ConfigurationError(`Unknown storage backend: ${selected}`)
+  }
+}
+
+let sharedStorage
+
+export function getStorage() {
+  if (!sharedStorage) {
+    sharedStorage = createStorage()
+  }
+  return sharedStorage
+}
+
+// Whether downloadTemplate can read the URL: public http(s), or a scheme the
+// configured backend owns
+export function isReadableUrl(value) {
+  let protocol
+  try {
+    protocol = new URL(value).protocol
+  } catch {
+    return false
+  }
+  return protocol === "http:" || protocol === "https:" || getStorage().schemes.includes(protocol)
+}
+
+// Template URLs are usually public HTTPS; file://, memory:// and s3:// URLs
+// are read through the configured backend
+export async function downloadTemplate(url) {
+  const stored = await getStorage().read(url)
+  if (stored) return stored
+
+  if (!/^https?:/i.test(url)) {
+    throw new PermanentJobError(`Unsupported template URL: ${url}`, "template_unavailable")
+  }
+
+  const response = await fetch(url)
+  if (!response.ok) {
+    const message = `Failed to download ZIP: ${response.status}`
+    // 4xx means the URL is wrong or expired; 408/429 and 5xx can recover
+    if (response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status)) {
+      throw new PermanentJobError(message, "template_unavailable")
+    }
+    const error = new Error(message)
+    error.status = response.status
+    throw error
+  }
+  return response.arrayBuffer()
+}
@@ -0,0 +1,157 @@
+import { ConfigurationError, PermanentJobError } from "./job-errors.js"
+
+// How a job's text should read. A profile gives the vertical the prompts
+// describe the page as, the formality the reader is addressed with (tu/vous,
+// du/Sie), a tone, regional variants per language (pt -> pt-BR, es -> es-MX)
+// and free-form instructions. A job names a profile or passes its own on top
+// of one:
+//
+//   styleProfile: "acme" | { extends?: "acme", vertical?, formality?, tone?, variants?, instructions? }
+//
+// The resolved profile is stored on the job as `style`:
+//
+//   { name, vertical, formality, tone, variants, instructions }
+//
+// STYLE_PROFILES takes an object of name -> profile as JSON to add profiles or
+// override the built-in ones.
+
+const BUILT_IN_PROFILES = {
+  default: { vertical: "dating" },
+}
+
+const FORMALITIES = ["formal", "informal"]
+const LANGUAGE_TAG = /^[a-z]{2,3}(?:-[a-z\d]{2,8})*$/i
+const MAX_TEXT_LENGTH = 2000
+
+// How each register addresses the reader in languages that make the distinction
+const ADDRESS_FORMS = {
+  de: { formal: "Sie", informal: "du" },
+  es: { formal: "usted", informal: "tú" },
+  fr: { formal: "vous", informal: "tu" },
+  it: { formal: "Lei", informal: "tu" },
+  nl: { formal: "u", informal: "jij" },
+  pl: { formal: "Pan/Pani", informal: "ty" },
+  ru: { formal: "вы", informal: "ты" },
+  tr: { formal: "siz", informal: "sen" },
+}
+
+let profiles
+
+function loadProfiles() {
+  if (!profiles) {
+    let configured = {}
+    try {
+      configured = JSON.parse(process.env.STYLE_PROFILES || "{}")
+    } catch (error) {
+      throw new ConfigurationError(`STYLE_PROFILES is not valid JSON: ${error.message}`)
+    }
+    profiles = { ...BUILT_IN_PROFILES, ...configured }
+    for (const [name, profile] of Object.entries(profiles)) {
+      const error = profileFieldsError(profile)
+      if (error) throw new ConfigurationError(`STYLE_PROFILES.${name}${error.path} ${error.message}`)
+    }
+  }
+  return profiles
+}
+
+function isText(value) {
+  return typeof value === "string" && value.trim().length > 0 && value.length <= MAX_TEXT_LENGTH
+}
+
+// { path, message } for the first invalid field, or null
+function profileFieldsError(profile) {
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) return { path: "", message: "must be an object" }
+
+  for (const field of ["vertical", "tone", "instructions"]) {
+    if (profile[field] !== undefined && !isText(profile[field])) {
+      return { path: `.${field}`, message: `must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters` }
+    }
+  }
+  if (profile.formality !== undefined && !FORMALITIES.includes(profile.formality)) {
+    return { path: ".formality", message: `must be one of ${FORMALITIES.join(", ")}` }
+  }
+  if (profile.variants !== undefined) {
+    if (!profile.variants || typeof profile.variants !== "object" || Array.isArray(profile.variants)) {
+      return { path: ".variants", message: "must be an object of language -> regional variant" }
+    }
+    const language = Object.keys(profile.variants).find((key) => !LANGUAGE_TAG.test(profile.variants[key] ?? ""))
+    if (language !== undefined) return { path: `.variants.${language}`, message: "must be a language code like pt-BR" }
+  }
+  return null
+}
+
+// Payload check for `styleProfile`, in the { path, message } shape job-payload uses
+export function styleProfileError(value) {
+  const name = typeof value === "string" ? value : value?.extends
+  if (name !== undefined && !loadProfiles()[name]) {
+    const path = typeof value === "string" ? "" : ".extends"
+    return { path, message: `must name a style profile (${Object.keys(loadProfiles()).join(", ")})` }
+  }
+  if (typeof value === "string") return null
+
+  const { extends: base, ...fields } = value || {}
+  return profileFieldsError(fields)
+}
+
+export function resolveStyleProfile(selection = "default") {
+  const { extends: base = "default", ...overrides } = typeof selection === "string" ? { extends: selection } : selection
+  const profile = loadProfiles()[base]
+  if (!profile) throw new PermanentJobError(`Unknown style profile: ${base}`, "invalid_payload")
+
+  const merged = { ...BUILT_IN_PROFILES.default, ...profile, ...overrides }
+  return {
+    name: Object.keys(overrides).length > 0 ? `${base} (customized)` : base,
+    vertical: merged.vertical,
+    formality: merged.formality ?? null,
+    tone: merged.tone ?? null,
+    variants: merged.variants ?? {},
+    instructions: merged.instructions ?? null,
+  }
+}
+
+function baseLanguage(language) {
+  return language.split("-")[0].toLowerCase()
+}
+
+// A language that already names its region (pt-BR) keeps it
+function variantFor(style, language) {
+  if (!style || language.includes("-")) return null
+  return style.variants[language] ?? style.variants[baseLanguage(language)] ?? null
+}
+
+// The locale a page translated under `style` is written in, for its lang
+// attribute and og:locale: the profile's regional variant when it has one
+export function documentLocale(style, language) {
+  return variantFor(style, language) ?? language
+}
+
+// Numbered into the prompts after the fixed rules, like the glossary's
+export function stylePromptRules(style, language) {
+  if (!style) return []
+
+  const rules = []
+  const variant = variantFor(style, language)
+  if (variant) {
+    rules.push(`Write ${variant} specifically: use its regional vocabulary, spelling and conventions`)
+  }
+  if (style.formality) {
+    const form = ADDRESS_FORMS[baseLanguage(language)]?.[style.formality]
+    rules.push(
+      form
+        ? `Address the reader ${style.formality === "formal" ? "formally" : "informally"} ("${form}") throughout`
+        : `Use a consistently ${style.formality} register when addressing the reader`,
+    )
+  }
+  if (style.tone) rules.push(`Tone of voice: ${style.tone.replace(/\s+/g, " ")}`)
+  if (style.instructions) rules.push(style.instructions.replace(/\s+/g, " "))
+  return rules
+}
+
+// Part of the translation memory key, so text translated under one style is
+// not reused under another. Empty for profiles that only set a vertical,
+// which is already in the key.
+export function styleScope(style, language) {
+  if (!style) return ""
+  const parts = [style.formality, style.tone, variantFor(style, language), style.instructions]
+  return parts.some(Boolean) ? JSON.stringify(parts) : ""
+}
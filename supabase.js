@@ -0,0 +1,12 @@
+import { createClient } from "@supabase/supabase-js"
+
+let client = null
+
+// Created on first use so modules that only need local backends can be
+// imported without Supabase credentials
+export function getSupabase() {
+  if (!client) {
+    client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  }
+  return client
+}
@@ -0,0 +1,175 @@
+import JSZip from "jszip"
+import { PermanentJobError } from "./job-errors.js"
+
+// Opens template ZIPs and finds the pages in them. Archives are untrusted
+// input: entry names must stay inside the package, and the entry count and
+// total uncompressed size are capped. The sizes an archive declares are only
+// claims, so every entry is inflated once up front, counting the bytes it
+// actually produces and stopping as soon as it goes past its declared size or
+// the total goes past the limit.
+
+const DEFAULT_MAX_FILES = 5000
+const DEFAULT_MAX_UNCOMPRESSED_BYTES = 500 * 1024 * 1024
+const HTML_PATTERN = /\.html?$/i
+
+function limitsFromEnv() {
+  return {
+    maxFiles: Number(process.env.TEMPLATE_MAX_FILES) || DEFAULT_MAX_FILES,
+    maxUncompressedBytes: Number(process.env.TEMPLATE_MAX_UNCOMPRESSED_BYTES) || DEFAULT_MAX_UNCOMPRESSED_BYTES,
+  }
+}
+
+// Absolute paths, drive letters, backslashes and ".." segments could write
+// outside the package when it is extracted
+function isSafeEntryName(filename) {
+  if (filename.startsWith("/") || filename.includes("\\") || /^[a-z]:/i.test(filename)) return false
+  if (filename.includes("\0")) return false
+  return !filename.split("/").includes("..")
+}
+
+function formatBytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+function tooLarge(bytes, limits) {
+  return new PermanentJobError(
+    `Template unpacks to ${formatBytes(bytes)}, more than the limit of ${formatBytes(limits.maxUncompressedBytes)}`,
+    "template_too_large",
+  )
+}
+
+// Resolves to the entry's bytes. Inflation is streamed, so it stops within
+// one chunk of going over `declaredBytes` or `remainingBytes`.
+function inflateEntry(entry, { declaredBytes, remainingBytes, totalBytes, limits }) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    let settled = false
+    const fail = (error) => {
+      if (settled) return
+      settled = true
+      stream.pause()
+      reject(error)
+    }
+
+    const stream = entry.internalStream("uint8array")
+    stream
+      .on("data", (chunk) => {
+        if (settled) return
+        size += chunk.length
+        if (size > declaredBytes) {
+          fail(
+            new PermanentJobError(
+              `Template entry ${entry.name} unpacks to more than the ${declaredBytes} bytes it declares`,
+              "invalid_template",
+            ),
+          )
+        } else if (size > remainingBytes) {
+          fail(tooLarge(totalBytes + size, limits))
+        } else {
+          chunks.push(chunk)
+        }
+      })
+      .on("error", (error) => {
+        fail(new PermanentJobError(`Could not read ${entry.name} from the template: ${error.message}`, "invalid_template"))
+      })
+      .on("end", () => {
+        if (settled) return
+        settled = true
+        const data = new Uint8Array(size)
+        let offset = 0
+        for (const chunk of chunks) {
+          data.set(chunk, offset)
+          offset += chunk.length
+        }
+        resolve(data)
+      })
+      .resume()
+  })
+}
+
+export async function openTemplateArchive(buffer, limits = limitsFromEnv()) {
+  let zip
+  try {
+    zip = await JSZip.loadAsync(buffer)
+  } catch (error) {
+    throw new PermanentJobError(`Template is not a valid ZIP archive: ${error.message}`, "invalid_template")
+  }
+
+  // JSZip quietly resolves ".." in names, which could also let one entry
+  // overwrite another, so the name as stored in the archive is checked
+  const entries = Object.values(zip.files)
+  const unsafe = entries
+    .filter((entry) => !isSafeEntryName(entry.unsafeOriginalName ?? entry.name))
+    .sort((a, b) => a.dir - b.dir)[0]
+  if (unsafe) {
+    const name = unsafe.unsafeOriginalName ?? unsafe.name
+    throw new PermanentJobError(`Template contains an unsafe path: ${name}`, "invalid_template")
+  }
+
+  const files = entries.filter((entry) => !entry.dir)
+  if (files.length > limits.maxFiles) {
+    throw new PermanentJobError(
+      `Template has ${files.length} files, more than the limit of ${limits.maxFiles}`,
+      "template_too_large",
+    )
+  }
+
+  // The declared sizes reject an honest oversized archive without inflating it
+  const declaredTotal = files.reduce((sum, entry) => sum + (entry._data?.uncompressedSize || 0), 0)
+  if (declaredTotal > limits.maxUncompressedBytes) throw tooLarge(declaredTotal, limits)
+
+  // Each entry is swapped for its inflated bytes, so later reads don't
+  // decompress again
+  let totalBytes = 0
+  for (const entry of files) {
+    const data = await inflateEntry(entry, {
+      declaredBytes: entry._data?.uncompressedSize ?? Infinity,
+      remainingBytes: limits.maxUncompressedBytes - totalBytes,
+      totalBytes,
+      limits,
+    })
+    totalBytes += data.length
+    zip.file(entry.name, data, {
+      binary: true,
+      createFolders: false,
+      date: entry.date,
+      comment: entry.comment,
+      unixPermissions: entry.unixPermissions,
+      dosPermissions: entry.dosPermissions,
+    })
+  }
+
+  return zip
+}
+
+// Skips directories and OS metadata that shouldn't ship in the package
+export function isPackageFile(filename, file) {
+  if (!filename || !file || file.dir) return false
+  if (filename.includes("__MACOSX/")) return false
+  if (filename.split("/").pop().startsWith("._")) return false
+  if (filename.endsWith(".DS_Store")) return false
+  return true
+}
+
+export function isHTMLFile(filename) {
+  return HTML_PATTERN.test(filename)
+}
+
+// Every page in the archive, nested folders included, in the shape the
+// caller would otherwise send as processedHtmlFiles
+export async function discoverHTMLFiles(zip) {
+  const filenames = Object.keys(zip.files)
+    .filter((filename) => isPackageFile(filename, zip.files[filename]) && isHTMLFile(filename))
+    .sort()
+
+  const files = []
+  for (const filename of filenames) {
+    try {
+      files.push({ filename, html: await zip.files[filename].async("string") })
+    } catch (error) {
+      throw new PermanentJobError(`Could not read ${filename} from the template: ${error.message}`, "invalid_template")
+    }
+  }
+  return files
+}
@@ -0,0 +1,71 @@
+import assert from "node:assert/strict"
+import { test } from "node:test"
+import { applyReviewedTranslations, parseXliff, toXliff } from "../bilingual-files.js"
+import { extractTextSegments } from "../html-segments.js"
+
+const PAGE = `<html><head><title>Singles nearby</title></head><body><p>Meet <b>new</b> people today.</p></body></html>`
+
+function exportPage(html, translations) {
+  const segments = extractTextSegments(html).map((segment) => ({
+    ...segment,
+    translatedText: translations[segment.text],
+  }))
+  return toXliff({ filename: "index.html", language: "es", segments })
+}
+
+function importPage(html, xliff) {
+  const { language, files } = parseXliff(xliff)
+  const pages = new Map(files.map(({ original, units }) => [original, units]))
+  return applyReviewedTranslations([{ filename: "index.html", html }], language, pages)[0].html
+}
+
+test("exports inline markup as XLIFF codes", () => {
+  const xliff = exportPage(PAGE, { "Meet {1}new{/1} people today.": "Conoce gente {1}nueva{/1} hoy." })
+
+  assert.match(xliff, /trgLang="es"/)
+  assert.match(xliff, /<source>Meet <pc id="1">new<\/pc> people today.<\/source>/)
+  assert.match(xliff, /<target>Conoce gente <pc id="1">nueva<\/pc> hoy.<\/target>/)
+  assert.match(xliff, /<segment state="initial">\s*<source>Singles nearby<\/source>\s*<\/segment>/)
+})
+
+test("rebuilds the page from a reviewed XLIFF", () => {
+  const xliff = exportPage(PAGE, {
+    "Singles nearby": "Solteros cerca",
+    "Meet {1}new{/1} people today.": "Conoce gente {1}nueva{/1} hoy.",
+  }).replace("Solteros cerca", "Solteros en tu zona")
+
+  assert.equal(
+    importPage(PAGE, xliff),
+    `<html><head><title>Solteros en tu zona</title></head><body><p>Conoce gente <b>nueva</b> hoy.</p></body></html>`,
+  )
+})
+
+test("keeps the source of a unit whose inline markup was lost in review", () => {
+  const xliff = exportPage(PAGE, { "Meet {1}new{/1} people today.": "Conoce gente {1}nueva{/1} hoy." }).replace(
+    '<pc id="1">nueva</pc>',
+    "nueva",
+  )
+
+  assert.match(importPage(PAGE, xliff), /<p>Meet <b>new<\/b> people today.<\/p>/)
+})
+
+test("carries text with its HTML entities decoded and escapes reviewed text going back in", () => {
+  const page = `<html><head><title>Singles &amp; more</title></head><body><img alt="Tom &amp; Jerry"></body></html>`
+  const xliff = exportPage(page, { "Singles &amp; more": "Solteros &amp; más" })
+
+  assert.match(xliff, /<source>Singles &amp; more<\/source>/)
+  assert.match(xliff, /<target>Solteros &amp; más<\/target>/)
+  assert.match(xliff, /<source>Tom &amp; Jerry<\/source>/)
+
+  const reviewed = xliff
+    .replace("<target>Solteros &amp; más</target>", "<target>Solteros &lt;3 &amp; <b>más</b></target>")
+    .replace("<source>Tom &amp; Jerry</source>", '<source>Tom &amp; Jerry</source>\n        <target>Tom "&amp;" Jerry</target>')
+  const html = importPage(page, reviewed)
+  assert.match(html, /<title>Solteros &lt;3 &amp; más<\/title>/)
+  assert.match(html, /alt="Tom &quot;&amp;&quot; Jerry"/)
+})
+
+test("rejects documents that are not XLIFF 2.0", () => {
+  assert.throws(() => parseXliff("<html></html>"), { reason: "invalid_review" })
+  assert.throws(() => parseXliff('<xliff version="1.2" trgLang="es"></xliff>'), { reason: "invalid_review" })
+})
@@ -0,0 +1,57 @@
+import assert from "node:assert/strict"
+import { test } from "node:test"
+import { alignSegments, extractTextSegments, inlineTagsIntact, reassembleHTML } from "../html-segments.js"
+
+const PAGE = `<html><head><title>Singles nearby</title></head><body>
+<p>Meet <b>new</b> people today.</p>
+<img src="a.png" alt="A photo">
+<script>var label = "not text"</script>
+</body></html>`
+
+const translate = (segments, fn) => segments.map((segment) => ({ ...segment, translatedText: fn(segment.text) }))
+
+test("extracts sentences with inline markup as tokens and attributes in document order", () => {
+  const segments = extractTextSegments(PAGE)
+  assert.deepEqual(
+    segments.map(({ text, attribute }) => ({ text, attribute })),
+    [
+      { text: "Singles nearby", attribute: undefined },
+      { text: "Meet {1}new{/1} people today.", attribute: undefined },
+      { text: "A photo", attribute: "alt" },
+    ],
+  )
+  assert.deepEqual(
+    segments[1].tags.map((tag) => tag.token),
+    ["{1}", "{/1}"],
+  )
+})
+
+test("reassembles translated segments and restores inline markup", () => {
+  const translated = {
+    "Singles nearby": "Solteros cerca",
+    "Meet {1}new{/1} people today.": "Conoce gente {1}nueva{/1} hoy.",
+    "A photo": 'Una "foto"',
+  }
+  const html = reassembleHTML(PAGE, translate(extractTextSegments(PAGE), (text) => translated[text]))
+
+  assert.match(html, /<title>Solteros cerca<\/title>/)
+  assert.match(html, /<p>Conoce gente <b>nueva<\/b> hoy.<\/p>/)
+  assert.match(html, /alt="Una &quot;foto&quot;"/)
+  assert.match(html, /var label = "not text"/)
+})
+
+test("keeps a sentence's source when its tokens did not survive", () => {
+  const [, sentence] = extractTextSegments(PAGE)
+  assert.equal(inlineTagsIntact(sentence, "Conoce gente nueva hoy."), false)
+
+  const html = reassembleHTML(PAGE, [{ ...sentence, translatedText: "Conoce gente nueva hoy." }])
+  assert.match(html, /<p>Meet <b>new<\/b> people today.<\/p>/)
+})
+
+test("aligns a translated page with its source segment by segment", () => {
+  const translatedPage = PAGE.replace("Meet <b>new</b> people today.", "Conoce gente <b>nueva</b> hoy.")
+  const aligned = alignSegments(PAGE, translatedPage)
+
+  assert.equal(aligned[1].translatedText, "Conoce gente {1}nueva{/1} hoy.")
+  assert.equal(alignSegments(PAGE, "<p>Only one</p>"), null)
+})
@@ -0,0 +1,73 @@
+import assert from "node:assert/strict"
+import { mkdtemp, rm, writeFile } from "node:fs/promises"
+import os from "node:os"
+import path from "node:path"
+import { after, test } from "node:test"
+import { pathToFileURL } from "node:url"
+import JSZip from "jszip"
+
+// A worker deployed without GEMINI_API_KEY, on the in-memory queue
+const workDir = await mkdtemp(path.join(os.tmpdir(), "job-queue-test-"))
+Object.assign(process.env, {
+  JOB_STORE: "memory",
+  STATUS_STORE: "memory",
+  STORAGE_BACKEND: "local",
+  STORAGE_LOCAL_DIR: workDir,
+  JOB_POLL_INTERVAL_MS: "50",
+  MAX_CONCURRENT_JOBS: "1",
+})
+delete process.env.GEMINI_API_KEY
+delete process.env.TRANSLATION_PROVIDER
+const { drainJobs, enqueueJob, getJobStatus, isAcceptingJobs, startJobWorker, workerState } = await import(
+  "../job-queue.js"
+)
+const { getTranslationProvider } = await import("../translation-providers.js")
+
+after(async () => {
+  await drainJobs(0)
+  await rm(workDir, { recursive: true, force: true })
+})
+
+async function waitFor(condition) {
+  for (let i = 0; i < 100; i++) {
+    const value = await condition()
+    if (value) return value
+    await new Promise((resolve) => setTimeout(resolve, 50))
+  }
+  assert.fail("Timed out waiting for the queue")
+}
+
+test("a misconfigured worker puts the job back and stops claiming", async () => {
+  const templatePath = path.join(workDir, "template.zip")
+  await writeFile(templatePath, await new JSZip().file("index.html", "<p>Hello</p>").generateAsync({ type: "nodebuffer" }))
+  const payload = { projectId: "project", projectName: "Test", templateZipUrl: pathToFileURL(templatePath).href }
+  await enqueueJob({ ...payload, jobId: "first", language: "fr" })
+  await enqueueJob({ ...payload, jobId: "second", language: "de" })
+  await startJobWorker()
+
+  const first = await waitFor(async () => {
+    const status = await getJobStatus("first")
+    return status.failureReason && !status.active && status
+  })
+  assert.equal(first.status, "queued")
+  assert.equal(first.attempts, 0)
+  assert.equal(first.failureReason, "misconfigured")
+  assert.equal(isAcceptingJobs(), false)
+  assert.match(workerState().misconfiguration, /GEMINI_API_KEY/)
+
+  await new Promise((resolve) => setTimeout(resolve, 200))
+  const second = await getJobStatus("second")
+  assert.equal(second.status, "queued")
+  assert.equal(second.attempts, 0)
+})
+
+test("an unknown provider is the job's fault only when the job names it", () => {
+  assert.throws(() => getTranslationProvider({ provider: "nope" }), { reason: "invalid_payload" })
+
+  process.env.TRANSLATION_PROVIDER = "nope"
+  try {
+    assert.throws(() => getTranslationProvider(), { name: "ConfigurationError", reason: "misconfigured" })
+  } finally {
+    delete process.env.TRANSLATION_PROVIDER
+  }
+})
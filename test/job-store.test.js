@@ -0,0 +1,67 @@
+import assert from "node:assert/strict"
+import { test } from "node:test"
+import { createJobStore } from "../job-store.js"
+
+const LEASE_MS = 60_000
+
+async function storeWithJob(id = "job-1") {
+  const store = createJobStore("memory")
+  await store.enqueue({ id, payload: { jobId: id, projectId: "project" } })
+  return store
+}
+
+test("enqueue is idempotent per job id", async () => {
+  const store = await storeWithJob()
+  const again = await store.enqueue({ id: "job-1", payload: { jobId: "job-1", projectId: "other" } })
+
+  assert.equal(again.created, false)
+  assert.equal(again.job.payload.projectId, "project")
+})
+
+test("a claimed job is leased to one worker at a time", async () => {
+  const store = await storeWithJob()
+  const claimed = await store.claim("worker-a", LEASE_MS)
+
+  assert.equal(claimed.status, "processing")
+  assert.equal(claimed.attempts, 1)
+  assert.equal(claimed.leaseOwner, "worker-a")
+  assert.equal(await store.claim("worker-b", LEASE_MS), null)
+  assert.equal(await store.renewLease("job-1", "worker-b", LEASE_MS), false)
+  assert.equal(await store.renewLease("job-1", "worker-a", LEASE_MS), true)
+})
+
+test("a job whose lease ran out is claimed again and its old owner can't release it", async () => {
+  const store = await storeWithJob()
+  await store.claim("worker-a", -1)
+
+  const reclaimed = await store.claim("worker-b", LEASE_MS)
+  assert.equal(reclaimed.leaseOwner, "worker-b")
+  assert.equal(reclaimed.attempts, 2)
+
+  assert.equal(await store.release("job-1", "worker-a", { status: "completed" }), null)
+  const released = await store.release("job-1", "worker-b", { status: "completed" })
+  assert.equal(released.status, "completed")
+  assert.equal(released.leaseOwner, null)
+})
+
+test("a retried job waits for its backoff before it is claimable", async () => {
+  const store = await storeWithJob()
+  await store.claim("worker-a", LEASE_MS)
+  await store.release("job-1", "worker-a", {
+    status: "queued",
+    availableAt: new Date(Date.now() + LEASE_MS).toISOString(),
+  })
+
+  assert.equal(await store.claim("worker-a", LEASE_MS), null)
+})
+
+test("cancelling takes the lease away from the running attempt", async () => {
+  const store = await storeWithJob()
+  await store.claim("worker-a", LEASE_MS)
+
+  assert.equal((await store.cancel("job-1")).status, "cancelled")
+  assert.equal(await store.renewLease("job-1", "worker-a", LEASE_MS), false)
+  assert.equal(await store.cancel("job-1"), null)
+  assert.equal(await store.recordUsage("job-1", { costUsd: 0.5 }), true)
+  assert.equal((await store.get("job-1")).usage.costUsd, 0.5)
+})
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict"
+import { test } from "node:test"
+
+Object.assign(process.env, { JOB_STORE: "memory", STATUS_STORE: "memory" })
+const { getJobStore } = await import("../job-store.js")
+const { getStatusStore } = await import("../status-store.js")
+
+const LEASE_MS = 60_000
+
+async function claimedJob(id) {
+  await getJobStore().enqueue({ id, payload: { jobId: id, projectId: "project" } })
+  return getJobStore().claim("worker-a", LEASE_MS)
+}
+
+function complete(jobId, workerId) {
+  return getStatusStore().completeJob({ jobId, projectId: "project", zipUrl: "file:///out.zip", workerId })
+}
+
+test("completes a job while its attempt holds the lease", async () => {
+  await claimedJob("held")
+  await complete("held", "worker-a")
+})
+
+test("a job cancelled or handed to another worker is not reported completed", async () => {
+  await claimedJob("cancelled")
+  await getJobStore().cancel("cancelled")
+  await assert.rejects(complete("cancelled", "worker-a"), { name: "JobCancelledError" })
+
+  await claimedJob("handed-over")
+  await assert.rejects(complete("handed-over", "worker-b"), { name: "JobCancelledError" })
+})
@@ -0,0 +1,32 @@
+import assert from "node:assert/strict"
+import { mkdtemp, rm, writeFile } from "node:fs/promises"
+import os from "node:os"
+import path from "node:path"
+import { after, test } from "node:test"
+import { pathToFileURL } from "node:url"
+
+const workDir = await mkdtemp(path.join(os.tmpdir(), "storage-test-"))
+Object.assign(process.env, { STORAGE_BACKEND: "local", STORAGE_LOCAL_DIR: path.join(workDir, "storage") })
+const { downloadTemplate, getStorage, isReadableUrl } = await import("../storage.js")
+
+after(() => rm(workDir, { recursive: true, force: true }))
+
+test("reads back what the local backend wrote", async () => {
+  const { url } = await getStorage().write("translations/out.zip", Buffer.from("zip"))
+  assert.equal(isReadableUrl(url), true)
+  assert.equal(Buffer.from(await downloadTemplate(url)).toString(), "zip")
+})
+
+test("reads nothing outside the storage folder", async () => {
+  const outside = path.join(workDir, "storage-other", "secret.zip")
+  await writeFile(path.join(workDir, "secret.zip"), "secret")
+
+  for (const url of [
+    pathToFileURL(path.join(workDir, "secret.zip")).href,
+    `${pathToFileURL(path.join(workDir, "storage")).href}/../secret.zip`,
+    pathToFileURL(outside).href,
+    "file:///etc/passwd",
+  ]) {
+    await assert.rejects(downloadTemplate(url), { reason: "template_unavailable" }, url)
+  }
+})
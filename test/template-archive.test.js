@@ -0,0 +1,52 @@
+import assert from "node:assert/strict"
+import { test } from "node:test"
+import JSZip from "jszip"
+import { discoverHTMLFiles, openTemplateArchive } from "../template-archive.js"
+
+const LIMITS = { maxFiles: 10, maxUncompressedBytes: 64 * 1024 }
+
+async function zipOf(files) {
+  const zip = new JSZip()
+  for (const [name, content] of Object.entries(files)) zip.file(name, content)
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" })
+}
+
+// Rewrites the uncompressed size an entry declares, in both the local header
+// and the central directory, as a hostile archive would
+function forgeDeclaredSize(buffer, size) {
+  const forged = Buffer.from(buffer)
+  for (let offset = 0; offset < forged.length - 4; offset++) {
+    const signature = forged.readUInt32LE(offset)
+    if (signature === 0x04034b50) forged.writeUInt32LE(size, offset + 22)
+    if (signature === 0x02014b50) forged.writeUInt32LE(size, offset + 24)
+  }
+  return forged
+}
+
+const rejectsWith = (promise, reason) => assert.rejects(promise, (error) => error.reason === reason)
+
+test("opens a template and finds its pages", async () => {
+  const zip = await openTemplateArchive(
+    await zipOf({ "index.html": "<p>Hi</p>", "sub/about.htm": "<p>About</p>", "style.css": "p{}" }),
+    LIMITS,
+  )
+  const pages = await discoverHTMLFiles(zip)
+  assert.deepEqual(pages.map((page) => page.filename).sort(), ["index.html", "sub/about.htm"])
+})
+
+test("rejects entries that would unpack outside the package", async () => {
+  const buffer = await zipOf({ "index.html": "<p>Hi</p>" })
+  const escaped = Buffer.from(buffer.toString("latin1").replaceAll("index.html", "../x/a.html"), "latin1")
+  await rejectsWith(openTemplateArchive(escaped, LIMITS), "invalid_template")
+})
+
+test("rejects archives over the file count or declared size limit", async () => {
+  const many = Object.fromEntries(Array.from({ length: 11 }, (_, i) => [`page${i}.html`, "<p>Hi</p>"]))
+  await rejectsWith(openTemplateArchive(await zipOf(many), LIMITS), "template_too_large")
+  await rejectsWith(openTemplateArchive(await zipOf({ "big.html": "x".repeat(65 * 1024) }), LIMITS), "template_too_large")
+})
+
+test("stops inflating an entry that unpacks to more than it declares", async () => {
+  const buffer = forgeDeclaredSize(await zipOf({ "index.html": "x".repeat(32 * 1024) }), 100)
+  await rejectsWith(openTemplateArchive(buffer, LIMITS), "invalid_template")
+})
@@ -0,0 +1,32 @@
+import assert from "node:assert/strict"
+import { test } from "node:test"
+
+Object.assign(process.env, { TRANSLATION_PROVIDER: "stub", TRANSLATION_MEMORY: "off" })
+const { isLanguageBundle, isTextAsset, textAssetPath, translateTextAsset } = await import("../text-assets.js")
+const { pseudoLocalize } = await import("../translation-providers.js")
+
+test("only files named after a real language are language bundles", () => {
+  for (const filename of ["locales/en.json", "i18n/pt_BR.json", "lang/es-MX.json"]) {
+    assert.equal(isLanguageBundle(filename), true, filename)
+  }
+  for (const filename of ["locales/faq.json", "locales/nav.json", "i18n/app.json", "locales/common.json", "en.json"]) {
+    assert.equal(isLanguageBundle(filename), false, filename)
+  }
+  assert.equal(textAssetPath("locales/en.json", "es"), "locales/es.json")
+  assert.equal(textAssetPath("locales/faq.json", "es"), "locales/faq.json")
+})
+
+test("translates other files in an i18n folder in place", async () => {
+  assert.equal(isTextAsset("locales/faq.json"), true)
+  const translated = await translateTextAsset("locales/faq.json", '{"title":"Questions"}', "es", "dating")
+  assert.deepEqual(JSON.parse(translated), { title: pseudoLocalize("Questions", "es") })
+})
+
+test("fills in only the keys a template's own bundle is missing", async () => {
+  const source = '{\n  "hello": "Hello",\n  "bye": "Goodbye"\n}\n'
+  const translated = await translateTextAsset("locales/en.json", source, "es", "dating", {
+    existingBundle: '{\n  "hello": "Hola (human)"\n}\n',
+  })
+  assert.equal(translated, `{\n  "hello": "Hola (human)",\n  "bye": "${pseudoLocalize("Goodbye", "es")}"\n}\n`)
+  assert.equal(await translateTextAsset("locales/fr.json", '{"hello":"Bonjour"}', "es", "dating"), null)
+})
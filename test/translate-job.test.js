@@ -0,0 +1,160 @@
+import assert from "node:assert/strict"
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises"
+import os from "node:os"
+import path from "node:path"
+import { after, before, test } from "node:test"
+import { fileURLToPath, pathToFileURL } from "node:url"
+import JSZip from "jszip"
+
+// Whole jobs on the stub provider, with every store in memory and packages
+// written to a temporary folder. The worker modules read their configuration
+// when they load, so it is set before importing them.
+const workDir = await mkdtemp(path.join(os.tmpdir(), "translate-job-test-"))
+Object.assign(process.env, {
+  JOB_STORE: "memory",
+  STATUS_STORE: "memory",
+  TRANSLATION_MEMORY: "memory",
+  TRANSLATION_PROVIDER: "stub",
+  STORAGE_BACKEND: "local",
+  STORAGE_LOCAL_DIR: workDir,
+  JOB_POLL_INTERVAL_MS: "50",
+})
+const { processTranslationJob } = await import("../translator.js")
+const { drainJobs, enqueueJob, getJobStatus, startJobWorker } = await import("../job-queue.js")
+const { pseudoLocalize } = await import("../translation-providers.js")
+
+const TEMPLATE = {
+  "index.html": `<html><head><title>Singles nearby</title><meta property="og:locale" content="en_US"></head><body><p>Meet <b>new</b> people.</p><a href="sub/about.html">About</a></body></html>`,
+  "sub/about.html": `<html><head><title>About us</title></head><body><p>We help people meet.</p></body></html>`,
+  "style.css": "p { color: red }",
+  "manifest.json": `{\n  "name": "Singles & more",\n  "start_url": "/"\n}\n`,
+  "logo.svg": `<svg xmlns="http://www.w3.org/2000/svg"><text>Meet &amp; greet</text></svg>`,
+}
+
+let templateZipUrl
+
+before(async () => {
+  const zip = new JSZip()
+  for (const [name, content] of Object.entries(TEMPLATE)) zip.file(name, content)
+  const templatePath = path.join(workDir, "template.zip")
+  await writeFile(templatePath, await zip.generateAsync({ type: "nodebuffer" }))
+  templateZipUrl = pathToFileURL(templatePath).href
+})
+
+after(async () => {
+  await drainJobs(0)
+  await rm(workDir, { recursive: true, force: true })
+})
+
+function jobPayload(fields) {
+  return { jobId: `job-${Math.random()}`, projectId: "project", userId: "user", projectName: "Test", templateZipUrl, ...fields }
+}
+
+async function openPackage(url) {
+  return JSZip.loadAsync(await readFile(fileURLToPath(url)))
+}
+
+test("translates every page of the template in place for a single language", async () => {
+  const result = await processTranslationJob(jobPayload({ language: "fr" }))
+  const output = await openPackage(result.zipUrl)
+
+  const index = await output.file("index.html").async("string")
+  assert.match(index, /<html lang="fr"/)
+  assert.ok(index.includes(`<title>${pseudoLocalize("Singles nearby", "fr")}</title>`))
+  assert.ok(index.includes(`<b>${pseudoLocalize("new", "fr").slice(1, -1)}</b>`))
+  assert.ok(output.file("sub/about.html"))
+  assert.equal(await output.file("style.css").async("string"), TEMPLATE["style.css"])
+  assert.equal(result.validation.filesWithIssues, 0)
+
+  const review = await openPackage(result.reviewZipUrl)
+  assert.ok(review.file("fr/index.html.xlf"))
+  assert.ok(review.file("fr/sub/about.html.csv"))
+})
+
+test("fans out into one folder per locale with hreflang links", async () => {
+  const result = await processTranslationJob(jobPayload({ languages: ["fr", "de"], siteUrl: "https://example.com" }))
+  const output = await openPackage(result.zipUrl)
+
+  const index = await output.file("de/index.html").async("string")
+  assert.match(index, /<html lang="de"/)
+  assert.match(index, /hreflang="fr" href="https:\/\/example.com\/fr\/index.html"/)
+  assert.ok(output.file("fr/sub/about.html"))
+})
+
+test("links the RTL stylesheet relative to each page", async () => {
+  const { zipUrl } = await processTranslationJob(jobPayload({ language: "ar", rtlStylesheet: "rtl.css" }))
+  const single = await openPackage(zipUrl)
+  assert.match(await single.file("index.html").async("string"), /<link rel="stylesheet" href="rtl.css">/)
+  assert.match(await single.file("sub/about.html").async("string"), /<link rel="stylesheet" href="..\/rtl.css">/)
+
+  const result = await processTranslationJob(jobPayload({ languages: ["ar", "fr"], rtlStylesheet: "rtl.css" }))
+  const multi = await openPackage(result.zipUrl)
+  assert.match(await multi.file("ar/index.html").async("string"), /<link rel="stylesheet" href="..\/rtl.css">/)
+  assert.match(await multi.file("ar/sub/about.html").async("string"), /<link rel="stylesheet" href="..\/..\/rtl.css">/)
+  assert.doesNotMatch(await multi.file("fr/sub/about.html").async("string"), /rtl.css/)
+})
+
+test("pages declare the style profile's regional variant", async () => {
+  const styleProfile = { variants: { pt: "pt-BR" } }
+  const { zipUrl } = await processTranslationJob(jobPayload({ language: "pt", styleProfile }))
+  const index = await (await openPackage(zipUrl)).file("index.html").async("string")
+  assert.match(index, /<html lang="pt-BR"/)
+  assert.match(index, /<meta property="og:locale" content="pt_BR">/)
+
+  const result = await processTranslationJob(jobPayload({ languages: ["pt", "fr"], styleProfile }))
+  const multi = await (await openPackage(result.zipUrl)).file("pt/index.html").async("string")
+  assert.match(multi, /<html lang="pt-BR"/)
+  assert.match(multi, /hreflang="pt-BR" href="index.html"/)
+  assert.match(multi, /hreflang="fr" href="..\/fr\/index.html"/)
+})
+
+async function runQueued(payload) {
+  await enqueueJob(payload)
+  await startJobWorker()
+
+  let status
+  for (let i = 0; i < 100 && (status?.status !== "completed" || status.active); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    status = await getJobStatus(payload.jobId)
+  }
+  return status
+}
+
+test("runs a queued job to completion", async () => {
+  const status = await runQueued(jobPayload({ language: "es" }))
+  assert.equal(status.status, "completed")
+  assert.equal(status.attempts, 1)
+  assert.ok(status.zipUrl)
+  // Kept with the job once the worker has let go of it
+  assert.equal(status.active, false)
+  assert.equal(status.translationMemory.hits, 0)
+  assert.ok(status.translationMemory.misses > 0)
+})
+
+test("reports how much of a previous package was reused", async () => {
+  const previous = await processTranslationJob(jobPayload({ language: "it" }))
+  const status = await runQueued(
+    jobPayload({ language: "it", previousTranslation: { zipUrl: previous.zipUrl, templateZipUrl } }),
+  )
+
+  assert.equal(status.status, "completed")
+  assert.ok(status.incremental.totalSegments > 0)
+  assert.equal(status.incremental.reusedSegments, status.incremental.totalSegments)
+})
+
+test("an import rebuilds text assets from their reviewed units too", async () => {
+  const exported = await processTranslationJob(jobPayload({ language: "es" }))
+  const review = await openPackage(exported.reviewZipUrl)
+  const manifestXliff = await review.file("es/manifest.json.xlf").async("string")
+  assert.match(manifestXliff, /<note category="key">name<\/note>/)
+  assert.match(manifestXliff, /<source>Singles &amp; more<\/source>/)
+  assert.match(await review.file("es/logo.svg.xlf").async("string"), /<source>Meet &amp; greet<\/source>/)
+
+  const reviewed = manifestXliff.replace(/<target>[^<]*<\/target>/, "<target>Solteros & más</target>")
+  const result = await processTranslationJob(jobPayload({ language: "es", review: { xliff: reviewed } }))
+  const output = await openPackage(result.zipUrl)
+
+  assert.equal(JSON.parse(await output.file("manifest.json").async("string")).name, "Solteros & más")
+  // Left out of this review, so it keeps its source text
+  assert.match(await output.file("logo.svg").async("string"), /<text>Meet &amp; greet<\/text>/)
+})
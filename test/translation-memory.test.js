@@ -0,0 +1,36 @@
+import assert from "node:assert/strict"
+import { test } from "node:test"
+
+Object.assign(process.env, { TRANSLATION_MEMORY: "memory", TRANSLATION_MEMORY_MAX_ENTRIES: "2" })
+const { applyTranslationMemory, rememberTranslations } = await import("../translation-memory.js")
+
+const SCOPE = { language: "es", vertical: "dating" }
+
+async function remembered(texts) {
+  const segments = await applyTranslationMemory(texts.map((text) => ({ text })), SCOPE)
+  return segments.filter((segment) => segment.translatedText !== undefined).map((segment) => segment.text)
+}
+
+test("reuses a remembered translation in the same scope only", async () => {
+  await rememberTranslations([{ text: "Hello  there", translatedText: "Hola" }], SCOPE)
+
+  const [segment] = await applyTranslationMemory([{ text: " Hello there " }], SCOPE)
+  assert.equal(segment.translatedText, " Hola ")
+  const [other] = await applyTranslationMemory([{ text: "Hello there" }], { ...SCOPE, language: "fr" })
+  assert.equal(other.translatedText, undefined)
+})
+
+test("the in-process store drops the least recently used entries past its limit", async () => {
+  await rememberTranslations(
+    [
+      { text: "One", translatedText: "Uno" },
+      { text: "Two", translatedText: "Dos" },
+    ],
+    SCOPE,
+  )
+  // Looking "One" up makes "Two" the oldest
+  assert.deepEqual(await remembered(["One"]), ["One"])
+  await rememberTranslations([{ text: "Three", translatedText: "Tres" }], SCOPE)
+
+  assert.deepEqual(await remembered(["One", "Two", "Three"]), ["One", "Three"])
+})
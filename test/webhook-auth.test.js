@@ -0,0 +1,67 @@
+import assert from "node:assert/strict"
+import { test } from "node:test"
+import { requireWebhookSignature, signWebhookPayload, verifyWebhookRequest } from "../webhook-auth.js"
+
+const SECRET = "test-secret"
+const BODY = Buffer.from('{"jobId":"job-1"}')
+
+function signed({ body = BODY, now = Date.now() } = {}) {
+  const timestamp = String(Math.floor(now / 1000))
+  return { secret: SECRET, timestamp, signature: signWebhookPayload(SECRET, timestamp, body), rawBody: body }
+}
+
+test("accepts a request signed with the shared secret", () => {
+  assert.equal(verifyWebhookRequest(signed()), null)
+})
+
+test("rejects a missing, wrong or tampered signature", () => {
+  assert.equal(verifyWebhookRequest({ ...signed(), signature: undefined }), "Missing webhook signature")
+  assert.equal(verifyWebhookRequest({ ...signed(), secret: "other" }), "Invalid webhook signature")
+  assert.equal(
+    verifyWebhookRequest({ ...signed(), rawBody: Buffer.from('{"jobId":"job-2"}') }),
+    "Invalid webhook signature",
+  )
+})
+
+test("rejects timestamps outside the allowed window", () => {
+  const request = signed({ now: Date.now() - 10 * 60 * 1000 })
+  assert.equal(verifyWebhookRequest(request), "Webhook timestamp outside the allowed window")
+  assert.equal(verifyWebhookRequest({ ...signed(), timestamp: "soon" }), "Invalid webhook timestamp")
+})
+
+test("accepts each signature once, so a sender retries with a new timestamp", () => {
+  const now = Date.now()
+  const request = signed({ body: Buffer.from('{"jobId":"job-3"}'), now })
+  assert.equal(verifyWebhookRequest({ ...request, now }), null)
+  assert.equal(verifyWebhookRequest({ ...request, now }), "Webhook request was already received")
+
+  const retry = signed({ body: request.rawBody, now: now + 1000 })
+  assert.equal(verifyWebhookRequest({ ...retry, now: now + 1000 }), null)
+})
+
+// Runs the middleware on a bodyless job route request; returns the status
+// it answered with, or "next" when it let the request through
+function callJobRoute(method, url, headers) {
+  const req = { method, originalUrl: url, ip: "127.0.0.1", get: (name) => headers[name.toLowerCase()] }
+  let outcome
+  const res = { status: (code) => ((outcome = code), { json: () => {} }) }
+  requireWebhookSignature(req, res, () => (outcome = "next"))
+  return outcome
+}
+
+test("job routes sign their method and path, and a captured request can't be replayed", () => {
+  process.env.WEBHOOK_SECRET = SECRET
+  try {
+    const timestamp = String(Math.floor(Date.now() / 1000))
+    const headers = {
+      "x-webhook-timestamp": timestamp,
+      "x-webhook-signature": signWebhookPayload(SECRET, timestamp, "DELETE /jobs/job-1"),
+    }
+    assert.equal(callJobRoute("DELETE", "/jobs/job-2", headers), 401)
+    assert.equal(callJobRoute("DELETE", "/jobs/job-1", headers), "next")
+    assert.equal(callJobRoute("DELETE", "/jobs/job-1", headers), 401)
+    assert.equal(callJobRoute("GET", "/jobs", {}), 401)
+  } finally {
+    delete process.env.WEBHOOK_SECRET
+  }
+})
@@ -0,0 +1,204 @@
+import path from "node:path"
+import { translateSegments } from "./gemini-translator.js"
+import { extractSvgTextSegments, reassembleHTML } from "./html-segments.js"
+import { log } from "./logger.js"
+
+// Non-page files whose text is shown to visitors: web manifests, i18n key
+// files, JSON paths configured per job and SVG images. Everything else in the
+// template is copied through unchanged.
+
+const MANIFEST_FIELDS = ["name", "short_name", "description"]
+const I18N_DIRECTORIES = new Set(["i18n", "lang", "langs", "locale", "locales", "messages", "translations"])
+const LANGUAGE_FILENAME = /^([a-z]{2,3})(?:[-_][a-z]{2,4})?\.json$/i
+const SOURCE_LANGUAGE = "en"
+const LANGUAGE_NAMES = new Intl.DisplayNames(["en"], { type: "language", fallback: "none" })
+
+// Strings that are identifiers rather than prose
+const NON_TEXT_VALUE = /^(?:[a-z][a-z\d+.-]*:\/\/|(?:mailto|tel|data):|\/|#|\.{1,2}\/)|^[\w./-]+\.[a-z\d]{2,5}$/i
+
+function isManifest(filename) {
+  const basename = path.posix.basename(filename).toLowerCase()
+  return basename === "manifest.json" || basename.endsWith(".webmanifest")
+}
+
+function isI18nFile(filename) {
+  return path.posix
+    .dirname(filename)
+    .split("/")
+    .some((dir) => I18N_DIRECTORIES.has(dir.toLowerCase()))
+}
+
+export function isTextAsset(filename, jsonPaths = {}) {
+  const lower = filename.toLowerCase()
+  if (lower.endsWith(".svg")) return true
+  if (isManifest(filename)) return true
+  if (!lower.endsWith(".json")) return false
+  return isI18nFile(filename) || Boolean(jsonPaths[filename])
+}
+
+// A language code CLDR knows, written the way it canonicalizes: `es` or
+// `pt_BR`, but not `faq`, `app` or `nav` (which is `nv`)
+function isLanguageCode(code) {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(code.replace("_", "-"))
+    const language = canonical.split("-")[0]
+    return language === code.split(/[-_]/)[0].toLowerCase() && LANGUAGE_NAMES.of(language) !== undefined
+  } catch {
+    return false
+  }
+}
+
+// i18n bundles named after their language, like `locales/en.json`. Other
+// files in an i18n folder (`locales/faq.json`) are translated in place.
+export function isLanguageBundle(filename) {
+  const basename = path.posix.basename(filename)
+  return isI18nFile(filename) && LANGUAGE_FILENAME.test(basename) && isLanguageCode(basename.replace(/\.json$/i, ""))
+}
+
+// `locales/en.json` becomes `locales/es.json` next to it; any other asset is
+// translated in place
+export function textAssetPath(filename, language) {
+  if (!isLanguageBundle(filename)) return filename
+  return path.posix.join(path.posix.dirname(filename), `${language}.json`)
+}
+
+function isTranslatableString(value) {
+  return typeof value === "string" && /\p{L}/u.test(value) && !NON_TEXT_VALUE.test(value.trim())
+}
+
+// Every string leaf, as [key path, value]
+function collectStrings(value, keyPath = [], found = []) {
+  if (isTranslatableString(value)) {
+    found.push([keyPath, value])
+  } else if (value && typeof value === "object") {
+    for (const [key, child] of Object.entries(value)) collectStrings(child, [...keyPath, key], found)
+  }
+  return found
+}
+
+// Dotted paths with `*` for any key or array index: "features.*.title"
+function resolvePath(value, pattern, keyPath = [], found = []) {
+  if (pattern.length === 0) {
+    if (isTranslatableString(value)) found.push([keyPath, value])
+    return found
+  }
+  if (!value || typeof value !== "object") return found
+
+  const [head, ...rest] = pattern
+  const keys = head === "*" ? Object.keys(value) : [head]
+  for (const key of keys) {
+    if (Object.hasOwn(value, key)) resolvePath(value[key], rest, [...keyPath, key], found)
+  }
+  return found
+}
+
+function selectStrings(filename, data, jsonPaths) {
+  if (jsonPaths[filename]) {
+    return jsonPaths[filename].flatMap((pattern) => resolvePath(data, pattern.split(".")))
+  }
+  if (isManifest(filename)) {
+    const patterns = [...MANIFEST_FIELDS, ...MANIFEST_FIELDS.map((field) => `shortcuts.*.${field}`)]
+    return patterns.flatMap((pattern) => resolvePath(data, pattern.split(".")))
+  }
+  return collectStrings(data)
+}
+
+function setPath(data, keyPath, value) {
+  const parent = keyPath.slice(0, -1).reduce((node, key) => node[key], data)
+  parent[keyPath[keyPath.length - 1]] = value
+}
+
+function hasPath(data, keyPath) {
+  let node = data
+  for (const key of keyPath) {
+    if (!node || typeof node !== "object" || !Object.hasOwn(node, key)) return false
+    node = node[key]
+  }
+  return true
+}
+
+// Adds what `existing` lacks from `source`; values already there win
+function fillMissing(existing, source) {
+  if (!existing || typeof existing !== "object" || !source || typeof source !== "object") return existing
+  for (const [key, value] of Object.entries(source)) {
+    existing[key] = Object.hasOwn(existing, key) ? fillMissing(existing[key], value) : value
+  }
+  return existing
+}
+
+function parseJson(filename, content) {
+  try {
+    return JSON.parse(content.replace(/^\uFEFF/, ""))
+  } catch (error) {
+    log.warn(`Skipping ${filename}: not valid JSON`, { error: error.message })
+    return undefined
+  }
+}
+
+// `options.existingBundle` is the target language's bundle when the template
+// already ships one; only the keys it is missing are translated into it.
+// Segments are numbered by `index` in the order they were selected.
+async function translateJson(filename, content, language, vertical, options) {
+  const data = parseJson(filename, content)
+  if (data === undefined) return null
+
+  let existing
+  if (options.existingBundle !== undefined) {
+    existing = parseJson(textAssetPath(filename, language), options.existingBundle)
+    if (existing === undefined) return null
+  }
+
+  const strings = selectStrings(filename, data, options.jsonPaths || {}).filter(
+    ([keyPath]) => existing === undefined || !hasPath(existing, keyPath),
+  )
+  if (strings.length === 0) return null
+
+  const segments = strings.map(([keyPath, text], index) => ({ keyPath, text, index, isTranslatable: true }))
+  const translated = await translateAssetSegments(segments, language, vertical, options)
+  if (translated === null) return null
+  for (const segment of translated) {
+    if (segment.translatedText) setPath(data, segment.keyPath, segment.translatedText.trim())
+  }
+
+  // Keep the file's own indentation (or lack of it) and trailing newline
+  const layout = existing === undefined ? content : options.existingBundle
+  const indent = layout.match(/^\uFEFF?[{[]\r?\n([ \t]+)/)?.[1] ?? (layout.trim().includes("\n") ? 2 : 0)
+  const result = existing === undefined ? data : fillMissing(existing, data)
+  return JSON.stringify(result, null, indent) + (layout.endsWith("\n") ? "\n" : "")
+}
+
+async function translateSvg(filename, content, language, vertical, options) {
+  const segments = extractSvgTextSegments(content)
+  if (segments.length === 0) return null
+
+  const translated = await translateAssetSegments(segments, language, vertical, options)
+  return translated === null ? null : reassembleHTML(content, translated)
+}
+
+// `options.segmentTranslator` stands in for the model (an import job answers
+// from the reviewed units); null when it left every segment untranslated
+async function translateAssetSegments(segments, language, vertical, options) {
+  const translated = options.segmentTranslator
+    ? await options.segmentTranslator(segments)
+    : await translateSegments(segments, language, vertical, options)
+  if (!translated.some((segment) => segment.translatedText)) return null
+  options.onSegments?.(translated)
+  return translated
+}
+
+// Returns the translated file content, or null when the file has nothing to
+// translate and should be copied as-is
+export async function translateTextAsset(filename, content, language, vertical, options = {}) {
+  if (language === SOURCE_LANGUAGE) return null
+  if (isLanguageBundle(filename)) {
+    // Bundles for other languages already exist in the template
+    const fileLanguage = path.posix.basename(filename).match(LANGUAGE_FILENAME)[1].toLowerCase()
+    if (fileLanguage !== SOURCE_LANGUAGE) return null
+  }
+
+  log.info(`Translating text asset ${filename} to ${language}`)
+  if (filename.toLowerCase().endsWith(".svg")) {
+    return translateSvg(filename, content, language, vertical, options)
+  }
+  return translateJson(filename, content, language, vertical, options)
+}
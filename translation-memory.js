@@ -0,0 +1,233 @@
+import { createHash } from "node:crypto"
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises"
+import path from "node:path"
+import { log } from "./logger.js"
+import { getSupabase } from "./supabase.js"
+
+// Segment-level translation memory shared across jobs. Entries are keyed by
+// the whitespace-normalized source text plus target language and vertical, so
+// headers, footers and legal text reused across templates are only sent to
+// the model once. A job style with formality, tone, a regional variant or
+// instructions (see style-profiles.js) is part of the key too.
+//
+// Store interface: { name, getMany(keys) -> Map(key -> target), setMany(entries) }
+//
+// The local stores keep at most TRANSLATION_MEMORY_MAX_ENTRIES entries (50000
+// by default), dropping the least recently used, so a long-running worker
+// without Supabase doesn't grow without bound.
+
+const DEFAULT_MAX_LOCAL_ENTRIES = 50000
+
+export function normalizeSegment(text) {
+  return text.replace(/\s+/g, " ").trim()
+}
+
+export function memoryKey(text, { language, vertical, style }) {
+  // Left out when empty so entries from before styles keep their keys
+  const scope = style ? `${language}\u0000${vertical || ""}\u0000${style}` : `${language}\u0000${vertical || ""}`
+  return createHash("sha256").update(`${scope}\u0000${normalizeSegment(text)}`).digest("hex")
+}
+
+function createLocalMemoryStore(filePath, maxEntries) {
+  let entries = null
+  let writeChain = Promise.resolve()
+
+  async function load() {
+    if (entries) return entries
+
+    entries = new Map()
+    if (!filePath) return entries
+
+    try {
+      const saved = JSON.parse(await readFile(filePath, "utf8"))
+      for (const [key, entry] of Object.entries(saved)) entries.set(key, entry)
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error
+    }
+    return entries
+  }
+
+  function persist() {
+    if (!filePath) return Promise.resolve()
+
+    const snapshot = JSON.stringify(Object.fromEntries(entries))
+    writeChain = writeChain.then(async () => {
+      await mkdir(path.dirname(filePath), { recursive: true })
+      await writeFile(`${filePath}.tmp`, snapshot)
+      await rename(`${filePath}.tmp`, filePath)
+    })
+    return writeChain
+  }
+
+  return {
+    name: filePath ? "file" : "memory",
+
+    async getMany(keys) {
+      const all = await load()
+      const found = new Map()
+      for (const key of keys) {
+        const entry = all.get(key)
+        if (!entry) continue
+        // Moved to the end, which is the most recently used
+        all.delete(key)
+        all.set(key, entry)
+        found.set(key, entry.target)
+      }
+      return found
+    },
+
+    async setMany(newEntries) {
+      const all = await load()
+      for (const entry of newEntries) {
+        all.delete(entry.key)
+        all.set(entry.key, entry)
+      }
+      for (const key of all.keys()) {
+        if (all.size <= maxEntries) break
+        all.delete(key)
+      }
+      await persist()
+    },
+  }
+}
+
+// Requires:
+//
+//   create table if not exists translation_memory (
+//     key text primary key,
+//     language text not null,
+//     vertical text,
+//     source_text text not null,
+//     target_text text not null,
+//     updated_at timestamptz not null default now()
+//   );
+function createSupabaseMemoryStore() {
+  const LOOKUP_BATCH_SIZE = 200
+
+  return {
+    name: "supabase",
+
+    async getMany(keys) {
+      const found = new Map()
+      for (let i = 0; i < keys.length; i += LOOKUP_BATCH_SIZE) {
+        const { data, error } = await getSupabase()
+          .from("translation_memory")
+          .select("key, target_text")
+          .in("key", keys.slice(i, i + LOOKUP_BATCH_SIZE))
+        if (error) throw new Error(`Translation memory lookup failed: ${error.message}`)
+        for (const row of data) found.set(row.key, row.target_text)
+      }
+      return found
+    },
+
+    async setMany(entries) {
+      const { error } = await getSupabase()
+        .from("translation_memory")
+        .upsert(
+          entries.map((entry) => ({
+            key: entry.key,
+            language: entry.language,
+            vertical: entry.vertical,
+            source_text: entry.source,
+            target_text: entry.target,
+            updated_at: new Date().toISOString(),
+          })),
+        )
+      if (error) throw new Error(`Translation memory update failed: ${error.message}`)
+    },
+  }
+}
+
+// TRANSLATION_MEMORY=supabase|file|memory|off. Defaults to Supabase when it is
+// configured, otherwise to process memory.
+function createMemoryStore(kind = process.env.TRANSLATION_MEMORY) {
+  const selected = kind || (process.env.SUPABASE_URL ? "supabase" : "memory")
+  const maxEntries = Number(process.env.TRANSLATION_MEMORY_MAX_ENTRIES) || DEFAULT_MAX_LOCAL_ENTRIES
+
+  switch (selected) {
+    case "off":
+      return null
+    case "supabase":
+      return createSupabaseMemoryStore()
+    case "file":
+      return createLocalMemoryStore(
+        process.env.TRANSLATION_MEMORY_PATH || path.join(process.cwd(), "data", "translation-memory.json"),
+        maxEntries,
+      )
+    case "memory":
+      return createLocalMemoryStore(null, maxEntries)
+    default:
+      throw new Error(`Unknown translation memory store: ${selected}`)
+  }
+}
+
+let sharedStore
+
+export function getTranslationMemory() {
+  if (sharedStore === undefined) {
+    sharedStore = createMemoryStore()
+  }
+  return sharedStore
+}
+
+export function keepWhitespace(original, translation) {
+  const leading = original.match(/^\s*/)[0]
+  const trailing = original.slice(leading.length).match(/\s*$/)[0]
+  return leading + translation.trim() + trailing
+}
+
+// Returns a copy of `segments` with `translatedText` filled in for every
+// memory hit that `accept(segment, translation)` allows. Store failures are
+// logged and treated as misses so a broken memory never fails a job.
+export async function applyTranslationMemory(segments, scope, stats, accept = () => true) {
+  const memory = getTranslationMemory()
+  if (!memory || segments.length === 0) return segments
+
+  let found = new Map()
+  const keys = segments.map((segment) => memoryKey(segment.text, scope))
+  try {
+    found = await memory.getMany([...new Set(keys)])
+  } catch (error) {
+    log.error("Translation memory lookup failed", { error: error.message })
+  }
+
+  const result = segments.map((segment, i) => {
+    if (!found.has(keys[i])) return segment
+
+    const translatedText = keepWhitespace(segment.text, found.get(keys[i]))
+    return accept(segment, translatedText) ? { ...segment, translatedText } : segment
+  })
+
+  const hits = result.filter((segment) => segment.translatedText !== undefined).length
+  if (stats) {
+    stats.hits += hits
+    stats.misses += segments.length - hits
+  }
+  return result
+}
+
+export async function rememberTranslations(segments, scope) {
+  const memory = getTranslationMemory()
+  if (!memory) return
+
+  const entries = new Map()
+  for (const segment of segments) {
+    if (!segment.translatedText || !normalizeSegment(segment.translatedText)) continue
+
+    const key = memoryKey(segment.text, scope)
+    entries.set(key, {
+      key,
+      language: scope.language,
+      vertical: scope.vertical,
+      source: normalizeSegment(segment.text),
+      target: normalizeSegment(segment.translatedText),
+    })
+  }
+  if (entries.size === 0) return
+
+  try {
+    await memory.setMany([...entries.values()])
+  } catch (error) {
+    log.error("Translation memory update failed", { error: error.message })
+  }
+}
@@ -0,0 +1,147 @@
+import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from "@google/generative-ai"
+import { extractTextSegments, reassembleHTML } from "./html-segments.js"
+import { ConfigurationError, PermanentJobError } from "./job-errors.js"
+
+// A provider turns a prompt into model output. Every request also carries the
+// structured input the prompt was built from (`segments` for numbered chunk
+// prompts, `html` for whole documents) so offline providers can answer without
+// understanding the prompt text.
+//
+//   { name, model, rateLimited?, generate({ task, prompt, language, segments?, html?, glossary? }) -> { text, usage? } }
+//
+// `usage` is { inputTokens, outputTokens } as billed; without it the worker
+// estimates from the text. Calls go through the shared rate limiter unless
+// `rateLimited` is false.
+
+const DEFAULT_PROVIDER = "gemini"
+const DEFAULT_GEMINI_MODEL = "gemini-3-flash-preview"
+
+function createGeminiProvider({ model }) {
+  if (!process.env.GEMINI_API_KEY) {
+    throw new ConfigurationError("GEMINI_API_KEY not configured")
+  }
+
+  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
+  const modelName = model || DEFAULT_GEMINI_MODEL
+  const generativeModel = genAI.getGenerativeModel({
+    model: modelName,
+    generationConfig: {
+      temperature: 0.3,
+    },
+    safetySettings: [
+      { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_ONLY_HIGH },
+      { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_ONLY_HIGH },
+      { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_ONLY_HIGH },
+      { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_ONLY_HIGH },
+    ],
+  })
+
+  return {
+    name: "gemini",
+    model: modelName,
+    async generate({ prompt }) {
+      const result = await generativeModel.generateContent(prompt)
+      const { promptTokenCount = 0, candidatesTokenCount = 0 } = result.response.usageMetadata || {}
+      return {
+        text: result.response.text(),
+        usage: result.response.usageMetadata && { inputTokens: promptTokenCount, outputTokens: candidatesTokenCount },
+      }
+    },
+  }
+}
+
+const ACCENTED = {
+  a: "á", b: "ƀ", c: "ç", d: "ð", e: "é", f: "ƒ", g: "ĝ", h: "ĥ", i: "î", j: "ĵ", k: "ķ", l: "ļ", m: "ɱ",
+  n: "ñ", o: "ö", p: "þ", q: "ǫ", r: "ŕ", s: "š", t: "ţ", u: "û", v: "ṽ", w: "ŵ", x: "ẋ", y: "ý", z: "ž",
+  A: "Á", B: "Ɓ", C: "Ç", D: "Ð", E: "É", F: "Ƒ", G: "Ĝ", H: "Ĥ", I: "Î", J: "Ĵ", K: "Ķ", L: "Ļ", M: "Ṁ",
+  N: "Ñ", O: "Ö", P: "Þ", Q: "Ǫ", R: "Ŕ", S: "Š", T: "Ţ", U: "Û", V: "Ṽ", W: "Ŵ", X: "Ẋ", Y: "Ý", Z: "Ž",
+}
+
+const PRESERVED_PATTERN = /(&[a-z]+;|&#x?[\da-f]+;|https?:\/\/[^\s"'<>)]+|\{\{?[\w.]+\}?\}|\$\{\w+\}|%[sdif])|[a-z]/gi
+
+// One character of the target script, so the worker's script checks pass
+const SCRIPT_SAMPLES = { ru: "Ж", ar: "ع", zh: "中", ja: "あ", ko: "한", he: "א", th: "ก", hi: "ह", el: "Ω" }
+
+// Glossary terms are swapped for their forced translation, like a model
+// following the prompt would
+export function pseudoLocalize(text, language, glossary) {
+  if (glossary?.terms.length > 0) {
+    const alternatives = glossary.terms.map(({ source }) => source.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    const targets = new Map(glossary.terms.map(({ source, target }) => [source.toLowerCase(), target]))
+    // Splitting on a capture group leaves the matched terms at odd indexes
+    return text
+      .split(new RegExp(`(${alternatives.join("|")})`, "gi"))
+      .map((part, i) => (i % 2 === 1 ? targets.get(part.toLowerCase()) : pseudoLocalize(part, language)))
+      .join("")
+  }
+
+  const leading = text.match(/^\s*/)[0]
+  const trailing = text.slice(leading.length).match(/\s*$/)[0]
+  const core = text.slice(leading.length, text.length - trailing.length)
+  if (!core) return text
+
+  // Entities, URLs and placeholders pass through untouched, as the prompt asks
+  const accented = core.replace(PRESERVED_PATTERN, (match, preserved) => preserved || ACCENTED[match])
+  const sample = SCRIPT_SAMPLES[language] ? `${SCRIPT_SAMPLES[language]} ` : ""
+  return `${leading}[${sample}${accented}]${trailing}`
+}
+
+// Deterministic pseudo-localization so whole jobs can run in CI and local
+// development without network access or an API key
+function createStubProvider() {
+  return {
+    name: "stub",
+    model: "pseudo-localization",
+    rateLimited: false,
+    async generate({ task, language, segments, html, glossary }) {
+      if (task === "segments") {
+        return { text: segments.map((text, i) => `[${i}] ${pseudoLocalize(text, language, glossary)}`).join("\n") }
+      }
+
+      const translated = extractTextSegments(html).map((segment) => ({
+        ...segment,
+        translatedText: pseudoLocalize(segment.text, language, glossary),
+      }))
+      return { text: reassembleHTML(html, translated) }
+    },
+  }
+}
+
+// Answers like the stub but is priced as the model it stands in for, so a
+// dry run (cli.js --dry-run) reports the calls, tokens and cost a real job
+// would have
+function createDryRunProvider({ model }) {
+  return { ...createStubProvider(), name: "dry-run", model: model || DEFAULT_GEMINI_MODEL }
+}
+
+const PROVIDER_FACTORIES = new Map([
+  ["gemini", createGeminiProvider],
+  ["stub", createStubProvider],
+  ["dry-run", createDryRunProvider],
+])
+
+const providerCache = new Map()
+
+export function registerTranslationProvider(name, factory) {
+  PROVIDER_FACTORIES.set(name, factory)
+}
+
+// Resolve a provider by job option, falling back to TRANSLATION_PROVIDER and
+// TRANSLATION_MODEL. Instances are cached per provider/model pair.
+export function getTranslationProvider({ provider, model } = {}) {
+  const name = provider || process.env.TRANSLATION_PROVIDER || DEFAULT_PROVIDER
+  const modelName = model || process.env.TRANSLATION_MODEL || undefined
+
+  const factory = PROVIDER_FACTORIES.get(name)
+  if (!factory) {
+    // Only a name from TRANSLATION_PROVIDER is the worker's fault
+    if (provider) throw new PermanentJobError(`Unknown translation provider: ${name}`, "invalid_payload")
+    throw new ConfigurationError(`Unknown translation provider: ${name}`)
+  }
+
+  const cacheKey = `${name}:${modelName || ""}`
+  if (!providerCache.has(cacheKey)) {
+    providerCache.set(cacheKey, factory({ model: modelName }))
+  }
+  return providerCache.get(cacheKey)
+}
@@ -1,163 +1,396 @@
-import { createClient } from "@supabase/supabase-js"
-import { put } from "@vercel/blob"
 import JSZip from "jszip"
+import {
+  applyReviewedTranslations,
+  buildReviewPackage,
+  loadReviewedTranslations,
+  reviewedAssetTranslator,
+} from "./bilingual-files.js"
 import { translateAllHTMLFiles } from "./gemini-translator.js"
+import { createGlossary } from "./glossary.js"
+import { BudgetExceededError, ConfigurationError, PermanentJobError, classifyError } from "./job-errors.js"
+import { injectHreflangLinks, localePath, localizeDocument, rebaseRelativeUrls } from "./locale-variants.js"
+import { log, withLogContext } from "./logger.js"
+import { createStageTimer, failuresTotal, jobDuration, jobsTotal, packageSize } from "./metrics.js"
+import { loadPreviousTranslations } from "./previous-translation.js"
+import { getStatusStore } from "./status-store.js"
+import { downloadTemplate, getStorage } from "./storage.js"
+import { documentLocale, resolveStyleProfile } from "./style-profiles.js"
+import { discoverHTMLFiles, isPackageFile, openTemplateArchive } from "./template-archive.js"
+import { isLanguageBundle, isTextAsset, textAssetPath, translateTextAsset } from "./text-assets.js"
+
+// Everything the job logs carries its jobId and projectId
+export function processTranslationJob(data, context = {}) {
+  return withLogContext({ jobId: data.jobId, projectId: data.projectId }, () => translateJob(data, context))
+}
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+async function translateJob(data, context) {
+  const {
+    jobId,
+    projectId,
+    userId,
+    templateZipUrl,
+    processedHtmlFiles,
+    language,
+    languages,
+    siteUrl,
+    projectName,
+    translatableAttributes,
+    translationMemory,
+    glossary,
+    doNotTranslate,
+    provider,
+    model,
+    rtlClass,
+    rtlStylesheet,
+    jsonPaths,
+    previousTranslation,
+    review,
+    styleProfile,
+  } = data
+  // `usage` tracks tokens and cost against the job's budget across attempts;
+  // `workerId` is the queue lease the job runs under
+  const { signal, onProgress, usage, workerId } = context
+
+  const endJobTimer = jobDuration.startTimer()
+  const stageTimer = createStageTimer()
+
+  // Mirrors each database progress write to the in-process job status
+  const reportProgress = (stage, progress, currentStep) => {
+    stageTimer.enter(stage)
+    onProgress?.({ stage, progress, currentStep })
+    return updateProgress(jobId, progress, currentStep)
+  }
 
-export async function processTranslationJob(data) {
-  const { jobId, projectId, userId, templateZipUrl, processedHtmlFiles, language, projectName } = data
+  // A `languages` list fans the job out into one folder per locale; a single
+  // `language` keeps the original flat package layout
+  const multiLocale = Array.isArray(languages) && languages.length > 0
+  const targetLanguages = multiLocale ? [...new Set(languages)] : [language]
+  // Jobs queued before style profiles existed only have the name, if anything
+  const style = data.style || resolveStyleProfile(styleProfile)
 
-  console.log(`[Railway] ========== JOB ${jobId} START ==========`)
-  console.log(`[Railway] Project ID: ${projectId}`)
-  console.log(`[Railway] Target Language: ${language}`)
-  console.log(`[Railway] Received ${processedHtmlFiles?.length || 0} processed HTML files`)
+  log.info(`Job ${jobId} started`, {
+    languages: targetLanguages,
+    style: style.name,
+    processedHtmlFiles: processedHtmlFiles?.length || 0,
+  })
 
   try {
-    if (!processedHtmlFiles || processedHtmlFiles.length === 0) {
-      throw new Error("No processed HTML files received from Vercel")
+    if (!projectName) {
+      throw new PermanentJobError("Missing projectName", "invalid_payload")
     }
 
-    await updateProgress(jobId, 15, "Downloading template assets...")
+    await reportProgress("downloading", 15, "Downloading template assets...")
 
-    const zipResponse = await fetch(templateZipUrl)
-    if (!zipResponse.ok) {
-      throw new Error(`Failed to download ZIP: ${zipResponse.status}`)
-    }
+    const zipBuffer = await downloadTemplate(templateZipUrl)
+    log.info(`ZIP downloaded: ${zipBuffer.byteLength} bytes`)
+    packageSize.observe({ kind: "template" }, zipBuffer.byteLength)
 
-    const zipBuffer = await zipResponse.arrayBuffer()
-    console.log(`[Railway] ZIP downloaded: ${zipBuffer.byteLength} bytes`)
+    const templateZip = await openTemplateArchive(zipBuffer)
 
-    const templateZip = await JSZip.loadAsync(zipBuffer)
+    // Without processedHtmlFiles every page in the template is translated
+    let htmlFiles = processedHtmlFiles
+    if (!htmlFiles || htmlFiles.length === 0) {
+      htmlFiles = await discoverHTMLFiles(templateZip)
+      if (htmlFiles.length === 0) {
+        throw new PermanentJobError("Template contains no HTML files", "invalid_template")
+      }
+      log.info(`Found ${htmlFiles.length} HTML files in the template`)
+    }
 
-    await updateProgress(jobId, 25, `Translating to ${language}...`)
+    // Per-language progress shown in the job status
+    const languageProgress = Object.fromEntries(
+      targetLanguages.map((target) => [
+        target,
+        { status: "pending", filesCompleted: 0, totalFiles: htmlFiles.length },
+      ]),
+    )
+    const reportLanguage = (target, fields) => {
+      Object.assign(languageProgress[target], fields)
+      onProgress?.({ languages: structuredClone(languageProgress) })
+    }
 
-    console.log(`[Railway] Starting parallel translation of ${processedHtmlFiles.length} files`)
+    // Segments unchanged since the earlier package keep their translation; a
+    // package that can't be used just means translating everything
+    let previousTranslations = null
+    if (previousTranslation) {
+      await reportProgress("downloading", 20, "Loading previous translation...")
+      try {
+        previousTranslations = await loadPreviousTranslations(previousTranslation, targetLanguages, {
+          translatableAttributes,
+          signal,
+        })
+      } catch (error) {
+        if (signal?.aborted) throw error
+        log.error("Failed to load previous translation, translating everything", { error: error.message })
+      }
+    }
+    const reuseStats = { reused: 0, segments: 0 }
+
+    // An import job (POST /import) rebuilds the package from reviewed XLIFF
+    // instead of calling the model
+    let reviewedTranslations = null
+    if (review) {
+      await reportProgress("downloading", 20, "Loading reviewed translations...")
+      reviewedTranslations = await loadReviewedTranslations(review)
+      const missing = targetLanguages.filter((target) => !reviewedTranslations.has(target.toLowerCase()))
+      if (missing.length > 0) {
+        throw new PermanentJobError(`The review has no XLIFF for ${missing.join(", ")}`, "invalid_review")
+      }
+    }
 
-    const translatedFiles = await translateAllHTMLFiles(processedHtmlFiles, language, "dating")
+    const memoryStats = { hits: 0, misses: 0 }
+    const jobGlossary = createGlossary({ glossary, doNotTranslate })
 
-    console.log(`[Railway] All ${translatedFiles.length} files translated successfully`)
+    const allFilenames = Object.keys(templateZip.files)
+    const textAssetNames = allFilenames.filter(
+      (filename) => isPackageFile(filename, templateZip.files[filename]) && isTextAsset(filename, jsonPaths),
+    )
+
+    const translatedFiles = []
+    const translatedAssets = []
+    const validationReports = []
+    const reviewPages = []
+    for (const [index, target] of targetLanguages.entries()) {
+      signal?.throwIfAborted()
+      const progress = Math.round(25 + (60 * index) / targetLanguages.length)
+      await reportProgress("translating", progress, `Translating to ${target}...`)
+      reportLanguage(target, { status: "translating" })
+
+      log.info(`Starting parallel translation of ${htmlFiles.length} files to ${target}`, { language: target })
+
+      const onSegments = (page) => reviewPages.push({ language: target, ...page })
+      const onValidation = (report) => validationReports.push({ language: target, ...report })
+      const files = reviewedTranslations
+        ? applyReviewedTranslations(htmlFiles, target, reviewedTranslations.get(target.toLowerCase()), {
+            translatableAttributes,
+            onSegments,
+            onValidation,
+          })
+        : await translateAllHTMLFiles(htmlFiles, target, style.vertical, {
+            translatableAttributes,
+            style,
+            translationMemory,
+            memoryStats,
+            glossary: jobGlossary,
+            provider,
+            model,
+            previousTranslations: previousTranslations?.get(target),
+            reuseStats,
+            usage,
+            signal,
+            onProgress: (update) => {
+              onProgress?.({ ...update, currentLanguage: target })
+              if (update.filesCompleted !== undefined) reportLanguage(target, { filesCompleted: update.filesCompleted })
+            },
+            onSegments,
+            onValidation,
+          })
+
+      translatedFiles.push(...files.map((file) => ({ ...file, language: target })))
+
+      for (const filename of textAssetNames) {
+        signal?.throwIfAborted()
+        const content = await templateZip.files[filename].async("string")
+        // A bundle the template already has for this language keeps its own text
+        const existingBundle = isLanguageBundle(filename)
+          ? await templateZip.files[textAssetPath(filename, target)]?.async("string")
+          : undefined
+
+        let translated = null
+        try {
+          // An import answers the asset's strings from its reviewed units
+          const segmentTranslator =
+            reviewedTranslations &&
+            reviewedAssetTranslator(filename, target, reviewedTranslations.get(target.toLowerCase()).get(filename))
+          translated = await withLogContext({ file: filename, language: target }, () =>
+            translateTextAsset(filename, content, target, style.vertical, {
+              style,
+              existingBundle,
+              translationMemory,
+              memoryStats,
+              glossary: jobGlossary,
+              jsonPaths,
+              provider,
+              model,
+              usage: usage?.forFile(filename, target),
+              signal,
+              segmentTranslator,
+              onSegments: (segments) => reviewPages.push({ language: target, file: filename, segments }),
+            }),
+          )
+        } catch (error) {
+          if (signal?.aborted || error instanceof BudgetExceededError || error instanceof ConfigurationError) throw error
+          // An untranslated manifest or image is better than a failed job
+          log.error(`Failed to translate ${filename}, keeping the original`, {
+            file: filename,
+            language: target,
+            error: error.message,
+          })
+        }
+
+        if (translated !== null) {
+          translatedAssets.push({ filename, content: translated, language: target })
+        } else if (multiLocale && !isLanguageBundle(filename)) {
+          // Every locale folder gets its own copy so page links stay local
+          translatedAssets.push({ filename, content, language: target })
+        }
+      }
+
+      reportLanguage(target, { status: "completed", filesCompleted: files.length })
+      onProgress?.({ translationMemory: { ...memoryStats } })
+      if (previousTranslations) onProgress?.({ incremental: { ...reuseStats } })
+      log.info(`All ${files.length} files translated to ${target} successfully`, { language: target })
+    }
 
-    await updateProgress(jobId, 85, "Creating download package...")
+    await reportProgress("packaging", 85, "Creating download package...")
 
     const outputZip = new JSZip()
 
     // Copy all non-HTML files from original ZIP
-    const allFilenames = Object.keys(templateZip.files)
-    console.log(`[Railway] Total files in ZIP: ${allFilenames.length}`)
+    log.info(`Total files in ZIP: ${allFilenames.length}`)
 
+    const pageFilenames = new Set(htmlFiles.map((file) => file.filename))
     const copyTasks = []
     for (const filename of allFilenames) {
-      if (!filename) continue
+      if (!isPackageFile(filename, templateZip.files[filename])) continue
+      if (filename.toLowerCase().endsWith(".html") || pageFilenames.has(filename)) continue
 
       const file = templateZip.files[filename]
-      if (!file) continue
-
-      // Skip directories, Mac metadata, HTML files, and JSON files
-      if (file.dir) continue
-      if (filename.includes("__MACOSX/")) continue
-      if (filename.split("/").pop().startsWith("._")) continue
-      if (filename.endsWith(".DS_Store")) continue
-      if (filename.toLowerCase().endsWith(".html")) continue
-      if (filename.toLowerCase().endsWith(".json")) continue
-
       copyTasks.push(
         file.async("arraybuffer").then((content) => {
           outputZip.file(filename, content)
-          console.log(`[Railway] Copied: ${filename}`)
+          log.debug(`Copied: ${filename}`)
         }),
       )
     }
 
     await Promise.all(copyTasks)
-    console.log(`[Railway] Copied ${copyTasks.length} asset files`)
+    log.info(`Copied ${copyTasks.length} asset files`)
+
+    // Translated assets go next to the pages: in place for a single language,
+    // into the locale folder otherwise. Language-named i18n bundles
+    // (locales/es.json) already say which locale they are for.
+    const localizedFilenames = new Set(pageFilenames)
+    for (const asset of translatedAssets) {
+      const localized = multiLocale && !isLanguageBundle(asset.filename)
+      const outputPath = localized ? localePath(asset.language, asset.filename) : textAssetPath(asset.filename, asset.language)
+      if (localized) localizedFilenames.add(asset.filename)
+      outputZip.file(outputPath, asset.content)
+      log.debug(`Added translated: ${outputPath}`)
+    }
 
+    // Folders stay named by the requested language; the pages declare the
+    // style profile's regional variant (pt -> pt-BR) they were written in
+    const locales = Object.fromEntries(targetLanguages.map((target) => [target, documentLocale(style, target)]))
     translatedFiles.forEach((file) => {
-      outputZip.file(file.filename, file.html)
-      console.log(`[Railway] Added translated: ${file.filename}`)
+      // The RTL stylesheet is linked relative to the page's own folder, so
+      // this runs before the URLs are rebased into the locale folder
+      let html = localizeDocument(file.html, {
+        filename: file.filename,
+        language: locales[file.language],
+        rtlClass,
+        rtlStylesheet,
+      })
+
+      if (!multiLocale) {
+        outputZip.file(file.filename, html)
+        log.debug(`Added translated: ${file.filename}`)
+        return
+      }
+
+      const outputPath = localePath(file.language, file.filename)
+      html = rebaseRelativeUrls(html, file.filename, outputPath, localizedFilenames)
+      html = injectHreflangLinks(html, {
+        filename: file.filename,
+        language: file.language,
+        languages: targetLanguages,
+        siteUrl,
+        locales,
+      })
+      outputZip.file(outputPath, html)
+      log.debug(`Added translated: ${outputPath}`)
     })
 
     // Generate final ZIP
-    console.log(`[Railway] Generating final ZIP...`)
+    log.info("Generating final ZIP...")
     const zipBlob = await outputZip.generateAsync({
       type: "arraybuffer",
       compression: "DEFLATE",
       compressionOptions: { level: 6 },
     })
 
-    console.log(`[Railway] ZIP created: ${zipBlob.byteLength} bytes`)
+    log.info(`ZIP created: ${zipBlob.byteLength} bytes`)
+    packageSize.observe({ kind: "output" }, zipBlob.byteLength)
 
-    await updateProgress(jobId, 90, "Uploading files...")
+    signal?.throwIfAborted()
+    await reportProgress("uploading", 90, "Uploading files...")
 
-    const blobFilename = `translations/${userId}/${Date.now()}-${projectName.replace(/[^a-z0-9]/gi, "-").toLowerCase()}.zip`
+    const outputKey = `translations/${userId}/${Date.now()}-${projectName.replace(/[^a-z0-9]/gi, "-").toLowerCase()}.zip`
 
-    const blob = await put(blobFilename, zipBlob, {
-      access: "public",
-      token: process.env.BLOB_READ_WRITE_TOKEN,
-    })
+    const { url: zipUrl } = await getStorage().write(outputKey, zipBlob, { contentType: "application/zip" })
 
-    console.log(`[Railway] Uploaded: ${blob.url}`)
+    log.info(`Uploaded: ${zipUrl}`)
 
-    await updateProgress(jobId, 95, "Finalizing...")
+    const reviewPackage = await buildReviewPackage(reviewPages)
+    const { url: reviewZipUrl } = await getStorage().write(outputKey.replace(/\.zip$/, "-review.zip"), reviewPackage, {
+      contentType: "application/zip",
+    })
+    log.info(`Uploaded review files for ${reviewPages.length} pages and assets: ${reviewZipUrl}`)
 
-    // Update project
-    const { error: projectError } = await supabase
-      .from("projects")
-      .update({
-        status: "completed",
-        zip_url: blob.url,
-      })
-      .eq("id", projectId)
+    await reportProgress("finalizing", 95, "Finalizing...")
 
-    if (projectError) {
-      console.error(`[Railway] Project update error:`, projectError)
-      throw new Error(`Database update failed: ${projectError.message}`)
-    }
+    await getStatusStore().completeJob({ jobId, projectId, zipUrl, workerId })
 
-    // Update queue
-    const { error: queueError } = await supabase
-      .from("translation_queue")
-      .update({
-        status: "completed",
-        progress: 100,
-        current_step: "Complete!",
-        zip_url: blob.url,
-        completed_at: new Date().toISOString(),
+    const filesWithIssues = validationReports.filter((report) => report.issueCount > 0).length
+    log.info(`Translation memory: ${memoryStats.hits} hits, ${memoryStats.misses} misses`)
+    if (previousTranslations) {
+      log.info(`Reused ${reuseStats.reused}/${reuseStats.segments} segments from the previous translation`)
+    }
+    if (usage) {
+      const { inputTokens, outputTokens, costUsd } = usage.summary()
+      log.info(`Usage: ${inputTokens} input / ${outputTokens} output tokens, ~$${costUsd}`, {
+        inputTokens,
+        outputTokens,
+        costUsd,
       })
-      .eq("id", jobId)
-
-    if (queueError) {
-      console.error(`[Railway] Queue update error:`, queueError)
     }
-
-    console.log(`[Railway] ========== JOB ${jobId} COMPLETED ==========`)
-    return { success: true, zipUrl: blob.url }
+    log.info(`Validation: ${filesWithIssues}/${validationReports.length} files with issues`)
+    log.info(`Job ${jobId} completed`)
+    stageTimer.finish()
+    jobsTotal.inc({ outcome: "completed" })
+    endJobTimer({ outcome: "completed" })
+    return {
+      success: true,
+      zipUrl,
+      reviewZipUrl,
+      validation: { filesWithIssues, files: validationReports },
+      translationMemory: { ...memoryStats },
+      ...(previousTranslations && { incremental: { reusedSegments: reuseStats.reused, totalSegments: reuseStats.segments } }),
+      ...(usage && { usage: usage.summary() }),
+    }
   } catch (error) {
-    console.error(`[Railway] ========== JOB ${jobId} FAILED ==========`)
-    console.error(`[Railway] Error:`, error.message)
-    console.error(`[Railway] Stack:`, error.stack)
-
-    // Update queue status to failed
-    await supabase
-      .from("translation_queue")
-      .update({
-        status: "failed",
-        error_message: error.message,
-        current_step: `Failed: ${error.message}`,
-      })
-      .eq("id", jobId)
-      .then(() => console.log(`[Railway] Marked job as failed in database`))
-      .catch((err) => console.error(`[Railway] Failed to update error status:`, err))
+    const { reason } = classifyError(error)
+    const outcome = signal?.aborted || reason === "cancelled" ? "cancelled" : "failed"
+    if (outcome === "cancelled") {
+      log.info(`Job ${jobId} stopped: ${signal?.reason?.message || error.message}`)
+    } else {
+      log.error(`Job ${jobId} failed`, { reason, error })
+    }
+    stageTimer.finish()
+    jobsTotal.inc({ outcome })
+    endJobTimer({ outcome })
+    if (outcome === "failed") failuresTotal.inc({ kind: "job", reason })
 
+    // The job queue decides whether this attempt is retried or dead-lettered
     throw error
   }
 }
 
 async function updateProgress(jobId, progress, currentStep) {
   try {
-    await supabase.from("translation_queue").update({ progress, current_step: currentStep }).eq("id", jobId)
-    console.log(`[Railway] Progress: ${progress}% - ${currentStep}`)
+    await getStatusStore().updateProgress(jobId, progress, currentStep)
+    log.info(`Progress: ${progress}% - ${currentStep}`, { progress })
   } catch (error) {
-    console.error(`[Railway] Failed to update progress:`, error)
+    log.error("Failed to update progress", { error })
   }
 }
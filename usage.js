@@ -0,0 +1,144 @@
+import { BudgetExceededError, ConfigurationError } from "./job-errors.js"
+import { log } from "./logger.js"
+
+// Token usage and estimated cost of a job, broken down per file and per
+// chunk. Every model call first reserves its estimated cost against the
+// job's budget, so a job stops before a call could take it over the limit,
+// not after. Summary shape:
+//
+//   { calls, inputTokens, outputTokens, costUsd, budgetUsd,
+//     files: [{ file, language, calls, inputTokens, outputTokens, costUsd, chunks: [{ chunk, ...same }] }] }
+
+// USD per million tokens. TRANSLATION_PRICING takes the same shape as JSON
+// to add models or override these list prices.
+const DEFAULT_PRICING = {
+  "gemini-3-flash-preview": { input: 0.5, output: 3 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "pseudo-localization": { input: 0, output: 0 },
+}
+
+let pricing
+const unpricedModels = new Set()
+
+function priceFor(model) {
+  if (!pricing) {
+    let configured = {}
+    try {
+      configured = JSON.parse(process.env.TRANSLATION_PRICING || "{}")
+    } catch (error) {
+      throw new ConfigurationError(`TRANSLATION_PRICING is not valid JSON: ${error.message}`)
+    }
+    pricing = { ...DEFAULT_PRICING, ...configured }
+  }
+
+  const price = pricing[model]
+  if (!price && !unpricedModels.has(model)) {
+    unpricedModels.add(model)
+    log.warn(`No pricing for model ${model}, its cost is counted as 0`)
+  }
+  return price || { input: 0, output: 0 }
+}
+
+export function costOf(model, { inputTokens, outputTokens }) {
+  const price = priceFor(model)
+  return (inputTokens * price.input + outputTokens * price.output) / 1_000_000
+}
+
+function round(usd) {
+  return Math.round(usd * 1e6) / 1e6
+}
+
+function emptyCounts() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 }
+}
+
+function addTo(counts, { inputTokens, outputTokens }, costUsd) {
+  counts.calls++
+  counts.inputTokens += inputTokens
+  counts.outputTokens += outputTokens
+  counts.costUsd += costUsd
+}
+
+// `previous` is the summary of earlier attempts of the same job, which count
+// against the same budget. `budgetName` says which limit applies in errors.
+export function createUsageTracker({ budgetUsd = null, budgetName = "Job budget", previous = null } = {}) {
+  const totals = emptyCounts()
+  for (const key of Object.keys(totals)) totals[key] = previous?.[key] || 0
+  const files = new Map(
+    (previous?.files || []).map((entry) => [
+      `${entry.language}:${entry.file}`,
+      { ...entry, chunks: new Map((entry.chunks || []).map((chunk) => [chunk.chunk, { ...chunk }])) },
+    ]),
+  )
+  // Estimated cost of calls in flight
+  let reservedUsd = 0
+
+  function reserve(model, estimatedTokens) {
+    // Output is about as long as the text sent
+    const estimate = costOf(model, { inputTokens: estimatedTokens, outputTokens: estimatedTokens })
+    if (budgetUsd !== null && totals.costUsd + reservedUsd + estimate > budgetUsd) {
+      throw new BudgetExceededError(
+        `${budgetName} reached: $${budgetUsd} allowed, $${round(totals.costUsd)} spent, next call ~$${round(estimate)}`,
+      )
+    }
+    reservedUsd += estimate
+    return estimate
+  }
+
+  // Called with what reserve() returned once the call has finished or failed
+  function release(reserved) {
+    reservedUsd = Math.max(0, reservedUsd - reserved)
+  }
+
+  function record(model, usage, { file, language, chunk, reserved = 0 } = {}) {
+    release(reserved)
+    const costUsd = costOf(model, usage)
+    addTo(totals, usage, costUsd)
+
+    if (file !== undefined) {
+      const key = `${language}:${file}`
+      if (!files.has(key)) files.set(key, { file, language, ...emptyCounts(), chunks: new Map() })
+      const entry = files.get(key)
+      addTo(entry, usage, costUsd)
+
+      if (chunk !== undefined) {
+        if (!entry.chunks.has(chunk)) entry.chunks.set(chunk, { chunk, ...emptyCounts() })
+        addTo(entry.chunks.get(chunk), usage, costUsd)
+      }
+    }
+    return costUsd
+  }
+
+  return {
+    // Scoped to one file of the job, for passing down to the translator
+    forFile(file, language) {
+      return {
+        reserve,
+        record: (model, usage, details = {}) => record(model, usage, { ...details, file, language }),
+        release,
+      }
+    },
+
+    reserve,
+    record,
+    release,
+
+    summary() {
+      return {
+        calls: totals.calls,
+        inputTokens: totals.inputTokens,
+        outputTokens: totals.outputTokens,
+        costUsd: round(totals.costUsd),
+        budgetUsd,
+        files: [...files.values()].map(({ chunks, ...entry }) => ({
+          ...entry,
+          costUsd: round(entry.costUsd),
+          chunks: [...chunks.values()].sort((a, b) => a.chunk - b.chunk).map((c) => ({ ...c, costUsd: round(c.costUsd) })),
+        })),
+      }
+    },
+  }
+}
@@ -0,0 +1,93 @@
+import { createHmac, timingSafeEqual } from "node:crypto"
+import { log } from "./logger.js"
+
+// Webhook requests are signed by the sender with the shared WEBHOOK_SECRET:
+//
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+//
+// The job routes (GET /jobs, GET and DELETE /jobs/:id) take the same headers;
+// having no body, they sign the method and path instead:
+// "<timestamp>.GET /jobs/<id>", query string included.
+//
+// Requests outside the timestamp window are rejected, and each signature is
+// accepted once within the window so a captured request (a cancel included)
+// can't be replayed. A sender retrying a request signs it again with a new
+// timestamp; a retried POST /translate is then answered by the jobId dedupe.
+// Seen signatures are kept per instance; a replay reaching another instance
+// still can't start a second run because the queue dedupes by jobId.
+
+const DEFAULT_TOLERANCE_SECONDS = 300
+
+// signature -> expiry (ms); entries outlive the window, then are pruned
+const seenSignatures = new Map()
+
+function toleranceSeconds() {
+  return Number(process.env.WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS
+}
+
+export function signWebhookPayload(secret, timestamp, rawBody) {
+  return `sha256=${createHmac("sha256", secret).update(`${timestamp}.`).update(rawBody).digest("hex")}`
+}
+
+function signaturesMatch(expected, received) {
+  const a = Buffer.from(expected)
+  const b = Buffer.from(received)
+  return a.length === b.length && timingSafeEqual(a, b)
+}
+
+function rememberSignature(signature, now) {
+  for (const [seen, expiresAt] of seenSignatures) {
+    if (expiresAt <= now) seenSignatures.delete(seen)
+  }
+  if (seenSignatures.has(signature)) return false
+
+  seenSignatures.set(signature, now + toleranceSeconds() * 1000 * 2)
+  return true
+}
+
+// Returns null when the request is authentic, otherwise the reason to reject it
+export function verifyWebhookRequest({ secret, timestamp, signature, rawBody, now = Date.now() }) {
+  if (!timestamp || !signature) return "Missing webhook signature"
+  if (!rawBody) return "Missing request body"
+
+  const sentAt = Number(timestamp)
+  if (!Number.isInteger(sentAt)) return "Invalid webhook timestamp"
+  if (Math.abs(now / 1000 - sentAt) > toleranceSeconds()) return "Webhook timestamp outside the allowed window"
+
+  if (!signaturesMatch(signWebhookPayload(secret, timestamp, rawBody), signature)) {
+    return "Invalid webhook signature"
+  }
+  if (!rememberSignature(signature, now)) return "Webhook request was already received"
+  return null
+}
+
+// Keeps the exact bytes that were signed; pass as express.json({ verify })
+export function captureRawBody(req, res, buffer) {
+  req.rawBody = buffer
+}
+
+const BODYLESS_METHODS = new Set(["GET", "HEAD", "DELETE"])
+
+function signedContent(req) {
+  return BODYLESS_METHODS.has(req.method) ? Buffer.from(`${req.method} ${req.originalUrl}`) : req.rawBody
+}
+
+// Express middleware. Without WEBHOOK_SECRET the check is skipped (with a
+// warning at startup) so local development keeps working.
+export function requireWebhookSignature(req, res, next) {
+  const secret = process.env.WEBHOOK_SECRET
+  if (!secret) return next()
+
+  const reason = verifyWebhookRequest({
+    secret,
+    timestamp: req.get("x-webhook-timestamp"),
+    signature: req.get("x-webhook-signature"),
+    rawBody: signedContent(req),
+  })
+  if (reason) {
+    log.warn(`Rejected webhook from ${req.ip}: ${reason}`, { ip: req.ip })
+    return res.status(401).json({ error: reason })
+  }
+  next()
+}